@@ -0,0 +1,192 @@
+/**
+ * 账户状态模块
+ * 维护每个地址的余额和已上链交易序号，随区块连接和断开增量更新，避免每次查询都遍历整条链
+ * 余额是以基本单位表示的 BigInt
+ */
+import { MerkleTree } from 'merkletreejs';
+import SHA256 from 'crypto-js/sha256.js';
+import { canonicalStringify } from '../utils/canonical.js';
+import { amountFromJSON } from '../utils/amount.js';
+
+/**
+ * 账户状态类
+ * 只保存余额或序号不为0的账户，两个状态包含的账户相同即表示结果相同
+ */
+export class AccountState {
+  /**
+   * 创建账户状态
+   * @param {Map} accounts - 地址 -> { balance, nonce }
+   */
+  constructor(accounts = new Map()) {
+    this.accounts = accounts;
+  }
+
+  /**
+   * 获取账户信息，未出现过的地址余额和序号都为0
+   * @param {string} address - 地址
+   * @returns {Object} - { balance, nonce }
+   */
+  getAccount(address) {
+    const account = this.accounts.get(address);
+    return account ? { ...account } : { balance: 0n, nonce: 0 };
+  }
+
+  /**
+   * 获取账户余额
+   * @param {string} address - 地址
+   * @returns {bigint} - 余额（基本单位）
+   */
+  getBalance(address) {
+    return this.getAccount(address).balance;
+  }
+
+  /**
+   * 获取账户已上链的交易序号，即链上下一笔交易应使用的序号
+   * @param {string} address - 地址
+   * @returns {number} - 交易序号
+   */
+  getNonce(address) {
+    return this.getAccount(address).nonce;
+  }
+
+  /**
+   * 更新账户信息，余额和序号都为0的账户会被移除
+   * @param {string} address - 地址
+   * @param {Object} account - { balance, nonce }
+   */
+  setAccount(address, account) {
+    if (account.balance === 0n && account.nonce === 0) {
+      this.accounts.delete(address);
+    } else {
+      this.accounts.set(address, account);
+    }
+  }
+
+  /**
+   * 执行一笔交易（不做验证，由调用方保证交易有效）
+   * @param {Transaction} transaction - 交易
+   */
+  applyTransaction(transaction) {
+    if (!transaction.isSystemTransaction()) {
+      const sender = this.getAccount(transaction.fromAddress);
+      this.setAccount(transaction.fromAddress, {
+        balance: sender.balance - transaction.amount - transaction.fee,
+        nonce: sender.nonce + 1
+      });
+    }
+
+    const receiver = this.getAccount(transaction.toAddress);
+    this.setAccount(transaction.toAddress, {
+      balance: receiver.balance + transaction.amount,
+      nonce: receiver.nonce
+    });
+  }
+
+  /**
+   * 撤销一笔交易，是 applyTransaction 的逆操作
+   * @param {Transaction} transaction - 交易
+   */
+  revertTransaction(transaction) {
+    const receiver = this.getAccount(transaction.toAddress);
+    this.setAccount(transaction.toAddress, {
+      balance: receiver.balance - transaction.amount,
+      nonce: receiver.nonce
+    });
+
+    if (!transaction.isSystemTransaction()) {
+      const sender = this.getAccount(transaction.fromAddress);
+      this.setAccount(transaction.fromAddress, {
+        balance: sender.balance + transaction.amount + transaction.fee,
+        nonce: sender.nonce - 1
+      });
+    }
+  }
+
+  /**
+   * 连接区块时执行其中的所有交易
+   * @param {Block} block - 区块
+   */
+  applyBlock(block) {
+    for (const transaction of block.transactions) {
+      this.applyTransaction(transaction);
+    }
+  }
+
+  /**
+   * 断开区块时按相反顺序撤销其中的所有交易
+   * @param {Block} block - 区块
+   */
+  revertBlock(block) {
+    for (let i = block.transactions.length - 1; i >= 0; i--) {
+      this.revertTransaction(block.transactions[i]);
+    }
+  }
+
+  /**
+   * 计算状态根：以按地址排序的账户 [地址, 余额, 序号] 为叶子构建默克尔树
+   * 账户状态相同的节点总会得到相同的状态根
+   * @returns {string} - 状态根，没有任何账户时为全0
+   */
+  getRoot() {
+    if (this.accounts.size === 0) {
+      return '0'.repeat(64);
+    }
+
+    const leaves = [...this.accounts.keys()].sort().map((address) => {
+      const { balance, nonce } = this.accounts.get(address);
+      return SHA256(canonicalStringify([address, balance.toString(), nonce]));
+    });
+    const tree = new MerkleTree(leaves, SHA256);
+    return tree.getRoot().toString('hex');
+  }
+
+  /**
+   * 复制账户状态，用于在不影响当前状态的情况下验证区块
+   * @returns {AccountState} - 状态副本
+   */
+  clone() {
+    const accounts = new Map();
+    for (const [address, account] of this.accounts) {
+      accounts.set(address, { ...account });
+    }
+    return new AccountState(accounts);
+  }
+
+  /**
+   * 将账户状态转换为JSON格式，余额编码为基本单位的十进制字符串
+   * @returns {Object} - 地址 -> { balance, nonce }
+   */
+  toJSON() {
+    const data = {};
+    for (const [address, { balance, nonce }] of this.accounts) {
+      data[address] = { balance: balance.toString(), nonce };
+    }
+    return data;
+  }
+
+  /**
+   * 从JSON数据创建账户状态
+   * @param {Object} data - 地址 -> { balance, nonce }
+   * @returns {AccountState} - 账户状态
+   */
+  static fromJSON(data) {
+    const accounts = new Map();
+    for (const [address, { balance, nonce }] of Object.entries(data)) {
+      accounts.set(address, { balance: amountFromJSON(balance), nonce });
+    }
+    return new AccountState(accounts);
+  }
+
+  /**
+   * 从创世区块开始重放整条链，计算链末端的账户状态
+   * @param {Array} chain - 区块列表
+   * @returns {AccountState} - 账户状态
+   */
+  static fromChain(chain) {
+    const state = new AccountState();
+    for (const block of chain) {
+      state.applyBlock(block);
+    }
+    return state;
+  }
+}
@@ -3,9 +3,17 @@
  * 定义区块的结构和相关功能
  */
 import { calculateHash } from '../utils/crypto.js';
+import { bitsToWork, difficultyToBits, hashMeetsTarget } from '../utils/target.js';
+import { Transaction } from './transaction.js';
 import { MerkleTree } from 'merkletreejs';
 import SHA256 from 'crypto-js/sha256.js';
 
+// 随机数上限（32位无符号整数），用尽后滚动时间戳或额外随机数
+const MAX_NONCE = 0xffffffff;
+
+// 异步挖矿时每批尝试的次数，每批之间让出事件循环并检查取消信号
+const MINING_BATCH_SIZE = 1000;
+
 /**
  * 区块类
  * 表示区块链中的一个区块
@@ -16,21 +24,24 @@ export class Block {
    * @param {number} index - 区块在链中的索引位置
    * @param {string} previousHash - 前一个区块的哈希值
    * @param {Array} transactions - 区块包含的交易列表
-   * @param {number} difficulty - 挖矿难度
+   * @param {number} bits - 紧凑格式的挖矿目标值
+   * @param {string} stateRoot - 执行区块中所有交易后的账户状态根
    */
-  constructor(index, previousHash, transactions, difficulty) {
+  constructor(index, previousHash, transactions, bits, stateRoot = '0'.repeat(64)) {
     this.index = index; // 区块索引
     this.timestamp = Date.now(); // 区块创建时间戳
     this.previousHash = previousHash; // 前一个区块的哈希
-    this.transactions = transactions; // 区块中包含的交易
-    this.difficulty = difficulty; // 挖矿难度
+    this.transactions = transactions; // 区块中包含的交易，只保留区块头的区块为null
+    this.bits = bits; // 挖矿目标值（紧凑格式），哈希数值不大于目标值才有效
     this.nonce = 0; // 用于挖矿的随机数
+    this.extraNonce = 0; // 随机数用尽且时间戳无法前移时使用的额外随机数
+    this.stateRoot = stateRoot; // 账户状态根
     this.merkleRoot = this.calculateMerkleRoot(); // 先计算默克尔根
     this.hash = this.calculateHash(); // 再计算区块的哈希值
     
     // 如果是创世区块（索引为0），直接设置一个有效的哈希值
     if (index === 0) {
-      this.hash = '0' + '1'.repeat(63); // 创世区块哈希以0开头，满足难度为1的要求
+      this.hash = '0' + '1'.repeat(63); // 创世区块哈希以0开头，满足最低难度的要求
     }
   }
 
@@ -39,14 +50,43 @@ export class Block {
    * @returns {string} - 区块的哈希值
    */
   calculateHash() {
-    return calculateHash({
+    return Block.calculateHeaderHash(this);
+  }
+
+  /**
+   * 获取区块头，区块头不包含交易，交易通过默克尔根与区块头绑定
+   * @returns {Object} - 区块头字段及区块哈希
+   */
+  getHeader() {
+    return {
       index: this.index,
       previousHash: this.previousHash,
       timestamp: this.timestamp,
       merkleRoot: this.merkleRoot,
+      stateRoot: this.stateRoot,
       nonce: this.nonce,
-      difficulty: this.difficulty
-    });
+      extraNonce: this.extraNonce,
+      bits: this.bits,
+      hash: this.hash
+    };
+  }
+
+  /**
+   * 区块是否包含交易数据
+   * 主链上较早的区块可能只在内存中保留区块头，完整区块需要从存储中加载
+   * @returns {boolean} - 是否为完整区块
+   */
+  hasTransactions() {
+    return this.transactions !== null;
+  }
+
+  /**
+   * 构建交易的默克尔树
+   * @returns {MerkleTree} - 以完整交易序列化结果的哈希为叶子的默克尔树
+   */
+  buildMerkleTree() {
+    const leaves = this.transactions.map(tx => SHA256(tx.serialize()));
+    return new MerkleTree(leaves, SHA256);
   }
 
   /**
@@ -58,48 +98,124 @@ export class Block {
       return '0'.repeat(64); // 如果没有交易，返回一个全0的哈希值
     }
 
-    // 使用交易ID创建默克尔树
-    const leaves = this.transactions.map(tx => SHA256(tx.id));
-    const tree = new MerkleTree(leaves, SHA256);
-    return tree.getRoot().toString('hex');
+    return this.buildMerkleTree().getRoot().toString('hex');
   }
 
   /**
-   * 挖矿方法 - 寻找符合难度要求的哈希值
-   * @param {number} difficulty - 挖矿难度（前导0的个数）
+   * 生成交易的默克尔包含证明，持有证明和区块头即可验证交易在区块中，无需下载整个区块
+   * @param {string} txId - 交易ID
+   * @returns {Object|null} - { txId, position, transaction, header, proof }，交易不在区块中时返回null
    */
-  mineBlock() {
+  getTransactionProof(txId) {
+    const position = this.transactions.findIndex(tx => tx.id === txId);
+    if (position === -1) {
+      return null;
+    }
+
+    const tree = this.buildMerkleTree();
+    const proof = tree.getProof(tree.getLeaves()[position], position);
+
+    return {
+      txId,
+      position,
+      transaction: this.transactions[position].toJSON(),
+      header: this.getHeader(),
+      // 每一步给出兄弟节点的哈希及其位于左侧还是右侧
+      proof: proof.map(node => ({
+        position: node.position,
+        data: node.data.toString('hex')
+      }))
+    };
+  }
+
+  /**
+   * 挖矿方法 - 寻找数值不大于目标值的哈希，直到找到或被取消为止
+   * 同步执行，挖矿期间会阻塞事件循环；需要响应网络消息时使用 mine()
+   * @param {Object} options - 挖矿选项
+   * @param {AbortSignal} options.signal - 取消信号
+   * @param {number} options.maxNonce - 随机数上限，超过后滚动时间戳或额外随机数
+   * @returns {boolean} - 是否找到有效哈希，被取消时返回false
+   */
+  mineBlock({ signal, maxNonce = MAX_NONCE } = {}) {
     // 如果是创世区块，直接返回，因为我们已经在构造函数中设置了有效的哈希
     if (this.index === 0) {
       console.log(`创世区块已就绪，哈希: ${this.hash}`);
-      return;
+      return true;
     }
     
-    const target = '0'.repeat(this.difficulty);
+    console.log(`开始挖掘区块 #${this.index}...`);
     
+    while (!this.searchNonce(MINING_BATCH_SIZE, maxNonce)) {
+      if (signal && signal.aborted) {
+        console.log(`区块 #${this.index} 挖矿已取消`);
+        return false;
+      }
+    }
+    
+    console.log(`区块 #${this.index} 挖掘成功! 哈希: ${this.hash}, 随机数: ${this.nonce}`);
+    return true;
+  }
+
+  /**
+   * 异步挖矿 - 每尝试一批随机数让出一次事件循环，期间可以处理网络消息并通过取消信号中止
+   * @param {Object} options - 挖矿选项
+   * @param {AbortSignal} options.signal - 取消信号，例如收到其他节点的新区块时触发
+   * @param {number} options.maxNonce - 随机数上限，超过后滚动时间戳或额外随机数
+   * @returns {Promise<boolean>} - 是否找到有效哈希，被取消时返回false
+   */
+  async mine({ signal, maxNonce = MAX_NONCE } = {}) {
     console.log(`开始挖掘区块 #${this.index}...`);
     
-    // 对于非创世区块，正常挖矿
-    let maxAttempts = 10000; // 设置最大尝试次数防止无限循环
+    while (!this.searchNonce(MINING_BATCH_SIZE, maxNonce)) {
+      await new Promise((resolve) => setImmediate(resolve));
+      
+      if (signal && signal.aborted) {
+        console.log(`区块 #${this.index} 挖矿已取消`);
+        return false;
+      }
+    }
     
-    while (this.hash.substring(0, this.difficulty) !== target && maxAttempts > 0) {
-      this.nonce++;
-      this.hash = this.calculateHash();
-      maxAttempts--;
+    console.log(`区块 #${this.index} 挖掘成功! 哈希: ${this.hash}, 随机数: ${this.nonce}`);
+    return true;
+  }
+
+  /**
+   * 从当前随机数开始最多尝试指定次数
+   * @param {number} attempts - 尝试次数
+   * @param {number} maxNonce - 随机数上限
+   * @param {number} extraNonceStep - 滚动时额外随机数的增量，多线程挖矿时等于线程数以避免重复搜索
+   * @returns {boolean} - 当前哈希是否满足目标值
+   */
+  searchNonce(attempts, maxNonce = MAX_NONCE, extraNonceStep = 1) {
+    for (let i = 0; i < attempts; i++) {
+      if (hashMeetsTarget(this.hash, this.bits)) {
+        return true;
+      }
       
-      // 每1000次尝试输出一次进度
-      if (this.nonce % 1000 === 0) {
-        console.log(`尝试次数: ${this.nonce}, 当前哈希: ${this.hash}`);
+      if (this.nonce >= maxNonce) {
+        this.rollHeader(extraNonceStep);
+      } else {
+        this.nonce++;
       }
+      this.hash = this.calculateHash();
     }
     
-    if (maxAttempts <= 0) {
-      // 如果达到最大尝试次数，强制设置一个有效的哈希
-      this.hash = '0' + '1'.repeat(63);
-      console.log(`区块 #${this.index} 挖矿超时，强制设置哈希: ${this.hash}`);
+    return hashMeetsTarget(this.hash, this.bits);
+  }
+
+  /**
+   * 随机数用尽时改变区块头的其他字段，从0开始重新搜索随机数
+   * 优先把时间戳前移到当前时间，同一毫秒内再次用尽时增加额外随机数
+   * @param {number} extraNonceStep - 额外随机数的增量
+   */
+  rollHeader(extraNonceStep = 1) {
+    const now = Date.now();
+    if (now > this.timestamp) {
+      this.timestamp = now;
     } else {
-      console.log(`区块 #${this.index} 挖掘成功! 哈希: ${this.hash}, 尝试次数: ${this.nonce}`);
+      this.extraNonce += extraNonceStep;
     }
+    this.nonce = 0;
   }
 
   /**
@@ -108,8 +224,7 @@ export class Block {
    */
   isValid() {
     // 验证哈希值是否符合难度要求
-    const target = '0'.repeat(this.difficulty);
-    if (this.hash.substring(0, this.difficulty) !== target) {
+    if (!hashMeetsTarget(this.hash, this.bits)) {
       return false;
     }
     
@@ -123,9 +238,42 @@ export class Block {
       return false;
     }
     
+    // 验证区块中每笔交易的签名和公钥
+    if (!this.hasValidTransactions()) {
+      return false;
+    }
+    
     return true;
   }
 
+  /**
+   * 验证区块中所有交易的签名是否有效
+   * @returns {boolean} - 所有交易是否有效
+   */
+  hasValidTransactions() {
+    for (const tx of this.transactions) {
+      try {
+        if (!tx.isValid()) {
+          return false;
+        }
+      } catch (error) {
+        // 缺少签名、公钥等必要字段的交易视为无效
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * 计算区块的工作量，即找到满足目标值的哈希平均需要的尝试次数（2^256 / (目标值 + 1)）
+   * 目标值无效的区块不计工作量，由链验证负责拒绝
+   * @returns {bigint} - 区块的工作量
+   */
+  getWork() {
+    return bitsToWork(this.bits);
+  }
+
   /**
    * 将区块转换为JSON格式
    * @returns {Object} - JSON格式的区块数据
@@ -137,12 +285,77 @@ export class Block {
       previousHash: this.previousHash,
       hash: this.hash,
       nonce: this.nonce,
-      difficulty: this.difficulty,
+      extraNonce: this.extraNonce,
+      bits: this.bits,
       merkleRoot: this.merkleRoot,
+      stateRoot: this.stateRoot,
       transactions: this.transactions.map(tx => tx.toJSON())
     };
   }
 
+  /**
+   * 计算区块头的哈希值
+   * @param {Object} header - 区块头字段
+   * @returns {string} - 区块的哈希值
+   */
+  static calculateHeaderHash(header) {
+    return calculateHash({
+      index: header.index,
+      previousHash: header.previousHash,
+      timestamp: header.timestamp,
+      merkleRoot: header.merkleRoot,
+      stateRoot: header.stateRoot,
+      nonce: header.nonce,
+      extraNonce: header.extraNonce,
+      bits: header.bits
+    });
+  }
+
+  /**
+   * 验证交易的默克尔包含证明，只使用证明中的区块头，不需要访问节点
+   * 区块头哈希必须与区块头内容一致并满足目标值，默克尔路径必须从完整交易推导出区块头中的默克尔根
+   * @param {Object} transactionProof - getTransactionProof 返回的证明
+   * @returns {boolean} - 证明是否有效
+   */
+  static verifyTransactionProof(transactionProof) {
+    const { txId, transaction, header, proof } = transactionProof || {};
+    if (typeof txId !== 'string' || !transaction || transaction.id !== txId || !header || !Array.isArray(proof)) {
+      return false;
+    }
+
+    if (Block.calculateHeaderHash(header) !== header.hash || !hashMeetsTarget(header.hash, header.bits)) {
+      return false;
+    }
+
+    try {
+      const path = proof.map(node => ({
+        position: node.position,
+        data: Buffer.from(node.data, 'hex')
+      }));
+      const leaf = SHA256(Transaction.fromJSON(transaction).serialize());
+      return MerkleTree.verify(path, leaf, header.merkleRoot, SHA256);
+    } catch (error) {
+      // 格式错误的证明视为无效
+      return false;
+    }
+  }
+
+  /**
+   * 从区块头创建只保留区块头的区块对象
+   * @param {Object} header - getHeader 返回的区块头
+   * @returns {Block} - 不包含交易的区块对象
+   */
+  static fromHeader(header) {
+    const block = new Block(header.index, header.previousHash, [], header.bits, header.stateRoot);
+    block.timestamp = header.timestamp;
+    block.nonce = header.nonce;
+    block.extraNonce = header.extraNonce;
+    block.merkleRoot = header.merkleRoot;
+    block.hash = header.hash;
+    block.transactions = null;
+    return block;
+  }
+
   /**
    * 从JSON数据创建区块对象
    * @param {Object} data - JSON格式的区块数据
@@ -150,15 +363,19 @@ export class Block {
    * @returns {Block} - 创建的区块对象
    */
   static fromJSON(data, transactionFromJSON) {
+    // 旧格式的区块只有前导0个数表示的 difficulty 字段，转换为等价的目标值
+    const bits = data.bits !== undefined ? data.bits : difficultyToBits(data.difficulty);
     const block = new Block(
       data.index,
       data.previousHash,
       data.transactions.map(tx => transactionFromJSON(tx)),
-      data.difficulty
+      bits,
+      data.stateRoot || '0'.repeat(64)
     );
     
     block.timestamp = data.timestamp;
     block.nonce = data.nonce;
+    block.extraNonce = data.extraNonce || 0;
     block.hash = data.hash;
     block.merkleRoot = data.merkleRoot;
     
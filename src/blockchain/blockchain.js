@@ -4,7 +4,151 @@
  */
 import { Block } from './block.js';
 import { Transaction } from './transaction.js';
+import { AccountState } from './accountState.js';
+import { Mempool, MempoolRemovalReason } from './mempool.js';
 import { EventEmitter } from 'events';
+import { LRUCache } from '../utils/lruCache.js';
+import { PriorityQueue } from '../utils/priorityQueue.js';
+import {
+  MAX_BITS,
+  MAX_TARGET,
+  bitsToDifficulty,
+  bitsToTarget,
+  difficultyToBits,
+  hashMeetsTarget,
+  targetToBits
+} from '../utils/target.js';
+import { DEFAULT_DECIMALS, parseAmount, toBaseUnits } from '../utils/amount.js';
+
+// 默认区块容量限制
+const DEFAULT_MAX_BLOCK_TRANSACTIONS = 100; // 每个区块最多包含的交易数（含挖矿奖励交易）
+const DEFAULT_MAX_BLOCK_SIZE = 100 * 1024; // 每个区块中交易的最大总字节数
+
+// 构建区块模板时每尝试多少笔交易让出一次事件循环
+const TEMPLATE_BATCH_SIZE = 50;
+
+// 按需加载的完整区块默认最多缓存的数量
+const DEFAULT_BLOCK_CACHE_SIZE = 100;
+
+// 默认挖矿奖励：50 个代币，按链的小数位数换算为基本单位
+const DEFAULT_MINING_REWARD = '50';
+
+// 区块时间戳允许超前当前时间的最大值（毫秒）
+const MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60 * 1000;
+
+// 难度调整参数
+const DEFAULT_RETARGET_INTERVAL = 10; // 每隔多少个区块调整一次难度
+const DEFAULT_TARGET_BLOCK_TIME = 10000; // 期望的区块生成时间（毫秒）
+const MAX_RETARGET_FACTOR = 4; // 单次调整时目标值最多放大或缩小的倍数
+
+/**
+ * 链验证失败原因枚举
+ */
+export const ChainValidationReason = {
+  INVALID_GENESIS: 'INVALID_GENESIS', // 创世区块不一致
+  INVALID_INDEX: 'INVALID_INDEX', // 区块索引不连续
+  INVALID_PREVIOUS_HASH: 'INVALID_PREVIOUS_HASH', // 前一个区块哈希不匹配
+  INVALID_TIMESTAMP: 'INVALID_TIMESTAMP', // 时间戳倒退或超前过多
+  INVALID_DIFFICULTY: 'INVALID_DIFFICULTY', // 难度不符合预期
+  INVALID_MERKLE_ROOT: 'INVALID_MERKLE_ROOT', // 默克尔根与交易不符
+  INVALID_HASH: 'INVALID_HASH', // 区块哈希与区块内容不符
+  INSUFFICIENT_WORK: 'INSUFFICIENT_WORK', // 区块哈希未满足难度要求
+  BLOCK_TOO_LARGE: 'BLOCK_TOO_LARGE', // 区块的交易数或交易总字节数超过上限
+  INVALID_COINBASE: 'INVALID_COINBASE', // 挖矿奖励交易数量不为1
+  INVALID_REWARD: 'INVALID_REWARD', // 挖矿奖励超额
+  INVALID_TRANSACTION: 'INVALID_TRANSACTION', // 交易签名、公钥或金额无效
+  INVALID_NONCE: 'INVALID_NONCE', // 交易序号重复或乱序
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE', // 发送方余额不足
+  INVALID_STATE_ROOT: 'INVALID_STATE_ROOT', // 状态根与执行区块后的账户状态不符
+  REORG_TOO_DEEP: 'REORG_TOO_DEEP', // 分叉点早于内存中保留完整区块的范围，无法撤销到分叉点
+  INVALID_CHECKPOINT: 'INVALID_CHECKPOINT' // 检查点以下的旧格式区块与本地主链不一致
+};
+
+/**
+ * 区块加入区块树的结果状态枚举
+ */
+export const BlockStatus = {
+  EXTENDED: 'EXTENDED', // 区块延长了主链
+  REORGANIZED: 'REORGANIZED', // 区块所在分支超过主链，已切换主链
+  SIDE_BRANCH: 'SIDE_BRANCH', // 区块有效，但所在分支工作量不足，保存在侧链上
+  DUPLICATE: 'DUPLICATE', // 区块已存在
+  ORPHAN: 'ORPHAN', // 父区块未知
+  INVALID: 'INVALID' // 区块无效
+};
+
+/**
+ * 比较两个分支的优先级：累计工作量大的优先，相同时最新区块哈希较小的优先
+ * @param {bigint} workA - 分支A的累计工作量
+ * @param {string} tipA - 分支A最新区块的哈希
+ * @param {bigint} workB - 分支B的累计工作量
+ * @param {string} tipB - 分支B最新区块的哈希
+ * @returns {number} - A 更优返回1，B 更优返回-1，相同返回0
+ */
+function compareWork(workA, tipA, workB, tipB) {
+  if (workA !== workB) {
+    return workA > workB ? 1 : -1;
+  }
+  if (tipA === tipB) {
+    return 0;
+  }
+  return tipA < tipB ? 1 : -1;
+}
+
+/**
+ * 创建链验证失败的结果对象
+ * @param {string} reason - 失败原因，取值见 ChainValidationReason
+ * @param {number} blockIndex - 出错区块的索引
+ * @param {string} message - 错误描述
+ * @returns {Object} - 验证结果
+ */
+function invalid(reason, blockIndex, message) {
+  return { valid: false, reason, blockIndex, message };
+}
+
+/**
+ * 同步执行分步计算直到得到结果
+ * @param {Generator} steps - 分步计算，每一步之间 yield，最后 return 结果
+ * @returns {*} - 计算结果
+ */
+function runSteps(steps) {
+  for (;;) {
+    const step = steps.next();
+    if (step.done) {
+      return step.value;
+    }
+  }
+}
+
+/**
+ * 异步执行分步计算，每一步之间让出事件循环并检查取消信号
+ * @param {Generator} steps - 分步计算，每一步之间 yield，最后 return 结果
+ * @param {AbortSignal} signal - 取消信号
+ * @returns {Promise<*>} - 计算结果，被取消时返回null
+ */
+async function runStepsAsync(steps, signal) {
+  for (;;) {
+    if (signal && signal.aborted) {
+      return null;
+    }
+    const step = steps.next();
+    if (step.done) {
+      return step.value;
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+/**
+ * 将区块对象或JSON数据统一转换为区块对象
+ * @param {Block|Object} blockData - 区块对象或JSON格式的区块数据
+ * @returns {Block} - 区块对象
+ */
+function toBlock(blockData) {
+  if (blockData instanceof Block) {
+    return blockData;
+  }
+  return Block.fromJSON(blockData, (txData) => Transaction.fromJSON(txData));
+}
 
 /**
  * 区块链类
@@ -13,15 +157,45 @@ import { EventEmitter } from 'events';
 export class Blockchain extends EventEmitter {
   /**
    * 创建一个新的区块链实例
-   * @param {number} difficulty - 挖矿难度
-   * @param {number} miningReward - 挖矿奖励金额
+   * @param {number} difficulty - 第一个区块的挖矿难度（哈希十六进制前导0的个数），之后的难度由链历史决定
+   * @param {bigint|number|string} miningReward - 挖矿奖励金额（基本单位整数），不传时为 50 个代币
+   * @param {Object} options - 其他配置
+   * @param {number} options.initialBits - 第一个区块的紧凑格式目标值，指定时忽略 difficulty
+   * @param {number} options.decimals - 金额的小数位数，默认 8 位
+   * @param {number} options.maxBlockTransactions - 每个区块最多包含的交易数
+   * @param {number} options.maxBlockSize - 每个区块中交易的最大总字节数
+   * @param {number} options.retargetInterval - 难度调整间隔（区块数）
+   * @param {number} options.targetBlockTime - 期望的区块生成时间（毫秒）
+   * @param {number} options.maxMempoolTransactions - 交易池最多容纳的交易数
+   * @param {number} options.maxMempoolSize - 交易池中交易的最大总字节数
+   * @param {number} options.mempoolExpiry - 交易在交易池中的过期时间（毫秒）
    */
-  constructor(difficulty = 2, miningReward = 50) {
+  constructor(difficulty = 2, miningReward = null, options = {}) {
     super();
-    this.chain = [this.createGenesisBlock()]; // 初始化区块链，添加创世区块
-    this.difficulty = difficulty; // 挖矿难度
-    this.pendingTransactions = []; // 待处理的交易
-    this.miningReward = miningReward; // 挖矿奖励金额
+    this.chain = []; // 主链（累计工作量最大的分支）
+    this.blocks = new Map(); // 区块树索引：区块哈希 -> { block, height, chainWork }，包含所有侧链
+    this.accountState = new AccountState(); // 主链末端的账户状态（余额和交易序号）
+    this.initialBits = options.initialBits || difficultyToBits(difficulty); // 第一个区块的挖矿目标值
+    this.legacyHeight = 0; // 旧版本保存的旧格式区块的检查点，由存储在加载时设置，低于该高度的区块的难度不参与难度调整
+    this.retargetInterval = options.retargetInterval || DEFAULT_RETARGET_INTERVAL;
+    this.targetBlockTime = options.targetBlockTime || DEFAULT_TARGET_BLOCK_TIME;
+    this.blockStore = null; // 保存完整区块的存储，设置后主链上较早的区块只在内存中保留区块头
+    this.recentBlocks = Infinity; // 主链末端保留完整区块的数量
+    this.blockCache = null; // 按需加载的完整区块的LRU缓存：区块高度 -> 区块
+    this.persistedLength = 0; // 已写入存储的主链长度，只有已写入的区块可以只保留区块头
+    this.persistedTipHash = null; // 已写入存储的主链最新区块哈希
+    this.setChain([this.createGenesisBlock()]); // 初始化区块链，添加创世区块
+    this.mempool = new Mempool({
+      maxTransactions: options.maxMempoolTransactions,
+      maxSize: options.maxMempoolSize,
+      expiryTime: options.mempoolExpiry
+    }); // 待处理交易池
+    this.decimals = options.decimals !== undefined ? options.decimals : DEFAULT_DECIMALS; // 金额的小数位数，是链参数，随链保存
+    this.miningReward = miningReward !== null
+      ? toBaseUnits(miningReward)
+      : parseAmount(DEFAULT_MINING_REWARD, this.decimals); // 挖矿奖励金额（基本单位）
+    this.maxBlockTransactions = options.maxBlockTransactions || DEFAULT_MAX_BLOCK_TRANSACTIONS;
+    this.maxBlockSize = options.maxBlockSize || DEFAULT_MAX_BLOCK_SIZE;
   }
 
   /**
@@ -29,7 +203,60 @@ export class Blockchain extends EventEmitter {
    * @returns {Block} - 创世区块
    */
   createGenesisBlock() {
-    return new Block(0, '0'.repeat(64), [], 1);
+    return new Block(0, '0'.repeat(64), [], MAX_BITS);
+  }
+
+  /**
+   * 下一个区块的挖矿目标值
+   * @returns {number} - 根据主链历史计算出的紧凑格式目标值
+   */
+  get bits() {
+    return this.getExpectedBits(this.chain, this.chain.length);
+  }
+
+  /**
+   * 下一个区块的难度（最低难度目标值与当前目标值的比值），仅用于展示
+   * @returns {number} - 难度值
+   */
+  get difficulty() {
+    return bitsToDifficulty(this.bits);
+  }
+
+  /**
+   * 计算指定高度的区块应使用的目标值
+   * 目标值每隔 retargetInterval 个区块调整一次：按上一个窗口内区块的实际耗时与期望耗时的比例
+   * 缩放目标值，比例限制在 1/4 到 4 之间，且不超过最低难度；其余高度沿用父区块的目标值。
+   * 旧格式区块的难度没有经过真正的挖矿，检查点之后的第一个区块与第一个区块一样从初始目标值开始。
+   * 结果只依赖链上数据，所有节点对同一条链会得到相同的结果
+   * @param {Array} chain - 从创世区块开始的区块列表，至少包含该高度之前的所有区块
+   * @param {number} height - 区块高度
+   * @returns {number} - 该高度的紧凑格式目标值
+   */
+  getExpectedBits(chain, height) {
+    if (height === 0) {
+      return chain[0].bits;
+    }
+    if (height === 1 || height === this.legacyHeight) {
+      return this.initialBits;
+    }
+
+    const parent = chain[height - 1];
+
+    // 第一个窗口包含时间戳不受约束的创世区块（或旧格式区块），从窗口内都是新区块时开始调整
+    const firstHeight = Math.max(this.legacyHeight, 1);
+    if (height % this.retargetInterval !== 0 || height - this.retargetInterval < firstHeight) {
+      return parent.bits;
+    }
+
+    const windowStart = chain[height - this.retargetInterval];
+    const expectedTime = (this.retargetInterval - 1) * this.targetBlockTime;
+    const actualTime = Math.min(
+      Math.max(parent.timestamp - windowStart.timestamp, Math.floor(expectedTime / MAX_RETARGET_FACTOR)),
+      expectedTime * MAX_RETARGET_FACTOR
+    );
+
+    const target = (bitsToTarget(parent.bits) * BigInt(actualTime)) / BigInt(expectedTime);
+    return targetToBits(target < MAX_TARGET ? target : MAX_TARGET);
   }
 
   /**
@@ -40,229 +267,1038 @@ export class Blockchain extends EventEmitter {
     return this.chain[this.chain.length - 1];
   }
 
+  /**
+   * 待处理的交易，按加入交易池的顺序排列
+   * @returns {Array} - 交易列表
+   */
+  get pendingTransactions() {
+    return this.mempool.getTransactions();
+  }
+
   /**
    * 添加待处理交易
+   * 交易在主链末端的账户状态上验证，并计入同一发送方在交易池中已有的交易；
+   * 与池中交易序号相同且手续费更高的交易会替换原交易
    * @param {Transaction} transaction - 要添加的交易
    * @returns {number} - 交易被添加到的区块索引
    */
   addTransaction(transaction) {
-    // 验证交易
-    if (!transaction.fromAddress && transaction.type !== 'reward') {
-      throw new Error('交易必须有发送方地址或是挖矿奖励');
+    try {
+      this.mempool.add(transaction, this.accountState);
+    } catch (error) {
+      // 记录拒绝原因供查询交易状态，重复提交池中已有的交易不影响它的状态
+      if (!this.mempool.has(transaction.id)) {
+        this.mempool.recordRejection(transaction.id, MempoolRemovalReason.REJECTED, error.message);
+      }
+      throw error;
+    }
+    this.emit('transactionAdded', transaction);
+
+    return this.getLatestBlock().index + 1;
+  }
+
+  /**
+   * 按发送方签名的取消请求从交易池中撤回交易
+   * @param {Cancellation} cancellation - 取消请求
+   * @returns {Transaction} - 被取消的交易
+   */
+  cancelTransaction(cancellation) {
+    const transaction = this.mempool.cancel(cancellation);
+    this.emit('transactionCancelled', cancellation);
+
+    return transaction;
+  }
+
+  /**
+   * 开始挖矿，处理待处理的交易
+   * @param {string} miningRewardAddress - 接收挖矿奖励的地址
+   * @returns {Block} - 新挖出的区块
+   */
+  minePendingTransactions(miningRewardAddress) {
+    // 按手续费率选择交易并创建区块模板
+    const block = this.createBlockTemplate(miningRewardAddress);
+
+    // 挖矿（寻找符合难度要求的哈希）
+    block.mineBlock();
+
+    return this.connectMinedBlock(block);
+  }
+
+  /**
+   * 异步挖掘下一个区块，挖矿期间不阻塞事件循环
+   * 挖矿过程中主链最新区块发生变化（例如收到其他节点的区块）或取消信号被触发时放弃当前区块
+   * @param {string} miningRewardAddress - 接收挖矿奖励的地址
+   * @param {Object} options - 挖矿选项
+   * @param {AbortSignal} options.signal - 取消信号
+   * @param {Miner} options.miner - 在工作线程中挖矿的矿工，不传时在主线程中分批挖矿
+   * @returns {Promise<Block|null>} - 新挖出的区块，被取消时返回null
+   */
+  async mineNextBlock(miningRewardAddress, { signal, miner } = {}) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', abort);
     }
+    this.on('tipChanged', abort);
+
+    let block;
+    try {
+      // 区块模板分批构建，选择交易和计算状态根期间同样不阻塞事件循环
+      block = await runStepsAsync(this.buildBlockTemplate(miningRewardAddress), controller.signal);
+      if (!block) {
+        return null;
+      }
 
-    if (!transaction.toAddress) {
-      throw new Error('交易必须有接收方地址');
+      const found = miner
+        ? await miner.mine(block, { signal: controller.signal })
+        : await block.mine({ signal: controller.signal });
+      if (!found || block.previousHash !== this.getLatestBlock().hash) {
+        return null;
+      }
+    } finally {
+      this.off('tipChanged', abort);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
     }
 
-    if (transaction.amount <= 0) {
-      throw new Error('交易金额必须大于0');
+    return this.connectMinedBlock(block);
+  }
+
+  /**
+   * 将本地挖出的区块连接到主链末端
+   * @param {Block} block - 已找到有效哈希的区块
+   * @returns {Block} - 连接的区块
+   */
+  connectMinedBlock(block) {
+    // 将新区块添加到链上
+    this.indexBlock(block);
+    this.chain.push(block);
+    this.accountState.applyBlock(block);
+    this.pruneBlocks();
+
+    // 从交易池中移除已打包的交易，未被选中的交易在新的账户状态上重新验证后留待下一个区块
+    this.mempool.removeConfirmed(block.transactions);
+    this.mempool.revalidate(this.accountState);
+
+    // 发出区块挖掘成功的事件
+    this.emit('blockMined', block);
+
+    return block;
+  }
+
+  /**
+   * 按手续费率从高到低选择待处理交易，同时保证同一发送方的交易按序号顺序打包
+   * 每笔交易在账户状态上依次执行，序号无效或累计花费超过余额的交易及该发送方的后续交易不会被选中。
+   * 交易的大小和手续费率在加入交易池时已经计算，这里用最大堆维护各发送方的队首交易
+   * @param {number} reservedSize - 为挖矿奖励交易预留的字节数
+   * @param {AccountState} state - 模拟执行使用的账户状态，选中的交易会更新该状态
+   * @returns {Array} - 选中的交易列表
+   */
+  selectTransactions(reservedSize = 0, state = this.accountState.clone()) {
+    return runSteps(this.selectTransactionSteps(reservedSize, state));
+  }
+
+  /**
+   * 分步选择待处理交易，每尝试一批交易 yield 一次，最后返回选中的交易列表
+   * @param {number} reservedSize - 为挖矿奖励交易预留的字节数
+   * @param {AccountState} state - 模拟执行使用的账户状态，选中的交易会更新该状态
+   * @returns {Generator} - 分步计算
+   */
+  *selectTransactionSteps(reservedSize, state) {
+    const blockIndex = this.getLatestBlock().index + 1;
+
+    // 预留挖矿奖励交易的位置和大小
+    let remainingCount = this.maxBlockTransactions - 1;
+    let remainingSize = this.maxBlockSize - reservedSize;
+
+    // 堆中每个发送方只有一个元素 { queue, position }，指向该发送方下一笔可以打包的交易；
+    // 手续费率高的优先，费率相同时先到先得
+    const heads = new PriorityQueue((a, b) => {
+      const entryA = a.queue[a.position];
+      const entryB = b.queue[b.position];
+      return entryA.feeRate - entryB.feeRate || entryB.transaction.timestamp - entryA.transaction.timestamp;
+    });
+    for (const queue of this.mempool.getSenderQueues()) {
+      heads.push({ queue, position: 0 });
     }
 
-    // 验证发送方余额是否足够（非挖矿奖励交易）
-    if (transaction.fromAddress && transaction.type !== 'reward') {
-      const balance = this.getBalanceOfAddress(transaction.fromAddress);
-      if (balance < transaction.amount) {
-        throw new Error('余额不足');
+    const selected = [];
+    let attempts = 0;
+    while (remainingCount > 0 && heads.size > 0) {
+      if (++attempts % TEMPLATE_BATCH_SIZE === 0) {
+        yield;
+      }
+
+      const head = heads.pop();
+      const { transaction, size } = head.queue[head.position];
+
+      // 区块放不下或在模拟状态上执行失败时，该发送方后续的交易也无法打包
+      if (size > remainingSize || this.applyTransaction(transaction, state, blockIndex)) {
+        continue;
+      }
+
+      selected.push(transaction);
+      remainingCount--;
+      remainingSize -= size;
+
+      head.position++;
+      if (head.position < head.queue.length) {
+        heads.push(head);
       }
     }
 
-    // 将交易添加到待处理列表
-    this.pendingTransactions.push(transaction);
-    this.emit('transactionAdded', transaction);
+    return selected;
+  }
 
-    return this.getLatestBlock().index + 1;
+  /**
+   * 创建待挖掘的区块模板，挖矿奖励交易支付区块奖励加上所有手续费
+   * @param {string} miningRewardAddress - 接收挖矿奖励的地址
+   * @param {Array} transactions - 要打包的交易，不传时从交易池中按手续费率选择
+   * @returns {Block} - 尚未挖掘的区块
+   */
+  createBlockTemplate(miningRewardAddress, transactions = null) {
+    return runSteps(this.buildBlockTemplate(miningRewardAddress, transactions));
   }
 
   /**
-   * 开始挖矿，处理待处理的交易
+   * 分步创建区块模板，复制账户状态之后、选择交易期间和计算状态根之前 yield，最后返回尚未挖掘的区块
    * @param {string} miningRewardAddress - 接收挖矿奖励的地址
-   * @returns {Block} - 新挖出的区块
+   * @param {Array} transactions - 要打包的交易，不传时从交易池中按手续费率选择
+   * @returns {Generator} - 分步计算
    */
-  minePendingTransactions(miningRewardAddress) {
-    // 创建挖矿奖励交易
+  *buildBlockTemplate(miningRewardAddress, transactions = null) {
+    // 创建挖矿奖励交易，序号为区块高度，使不同区块的奖励交易ID不同
+    const blockIndex = this.getLatestBlock().index + 1;
     const rewardTx = new Transaction(
       null,
       miningRewardAddress,
       this.miningReward,
-      'reward'
+      'reward',
+      blockIndex
     );
-    this.pendingTransactions.push(rewardTx);
 
-    // 创建新区块
-    const block = new Block(
-      this.getLatestBlock().index + 1,
+    // 在当前账户状态的副本上执行区块交易，得到区块的状态根；
+    // 奖励金额确定前按可能的最大金额（区块奖励加交易池中所有手续费）预留空间，保证区块不超过大小上限
+    const state = this.accountState.clone();
+    yield;
+    if (transactions) {
+      transactions = [...transactions];
+      for (const tx of transactions) {
+        state.applyTransaction(tx);
+      }
+    } else {
+      const maxReward = this.pendingTransactions.reduce((sum, tx) => sum + tx.fee, this.miningReward);
+      const reservedSize = new Transaction(null, miningRewardAddress, maxReward, 'reward', blockIndex).getSize();
+      transactions = yield* this.selectTransactionSteps(reservedSize, state);
+    }
+    rewardTx.amount += transactions.reduce((sum, tx) => sum + tx.fee, 0n);
+    rewardTx.updateId();
+    transactions.push(rewardTx);
+    state.applyTransaction(rewardTx);
+    yield;
+
+    return new Block(
+      blockIndex,
       this.getLatestBlock().hash,
-      this.pendingTransactions,
-      this.difficulty
+      transactions,
+      this.bits,
+      state.getRoot()
     );
+  }
 
-    // 挖矿（寻找符合难度要求的哈希）
-    block.mineBlock();
-
-    // 将新区块添加到链上
-    this.chain.push(block);
-
-    // 清空待处理交易列表，为下一个区块做准备
-    this.pendingTransactions = [];
+  /**
+   * 检查区块的挖矿奖励是否超过区块奖励加手续费
+   * @param {Block} block - 要检查的区块
+   * @returns {boolean} - 奖励金额是否合法
+   */
+  hasValidReward(block) {
+    let rewardAmount = 0n;
+    let totalFees = 0n;
 
-    // 发出区块挖掘成功的事件
-    this.emit('blockMined', block);
+    for (const transaction of block.transactions) {
+      if (transaction.type === 'reward') {
+        rewardAmount += transaction.amount;
+      } else if (!transaction.isSystemTransaction()) {
+        totalFees += transaction.fee;
+      }
+    }
 
-    return block;
+    return rewardAmount <= this.miningReward + totalFees;
   }
 
   /**
-   * 获取指定地址的余额
+   * 获取指定地址的余额（主链末端的账户状态）
    * @param {string} address - 要查询余额的地址
-   * @returns {number} - 地址的余额
+   * @returns {bigint} - 地址的余额（基本单位）
    */
   getBalanceOfAddress(address) {
-    let balance = 0;
+    return this.accountState.getBalance(address);
+  }
 
-    // 遍历所有区块中的所有交易
-    for (const block of this.chain) {
-      for (const transaction of block.transactions) {
-        // 如果该地址是交易的接收方，增加余额
-        if (transaction.toAddress === address) {
-          balance += transaction.amount;
-        }
+  /**
+   * 获取指定地址已上链的交易序号，即链上下一笔交易应使用的序号
+   * @param {string} address - 要查询的地址
+   * @returns {number} - 已确认的交易序号
+   */
+  getNonceOfAddress(address) {
+    return this.accountState.getNonce(address);
+  }
 
-        // 如果该地址是交易的发送方，减少余额
-        if (transaction.fromAddress === address) {
-          balance -= transaction.amount;
-        }
+  /**
+   * 获取指定地址下一笔交易应使用的序号（包含待处理交易）
+   * @param {string} address - 要查询的地址
+   * @returns {number} - 下一个期望的交易序号
+   */
+  getNextNonce(address) {
+    return this.mempool.getNextNonce(address, this.accountState);
+  }
+
+  /**
+   * 在内存中的主链区块里查找已打包的交易，只保留区块头的区块不会被搜索
+   * @param {string} txId - 交易ID
+   * @returns {Object|null} - { block, transaction, position }，交易不在主链中时返回null
+   */
+  findTransaction(txId) {
+    for (const block of this.chain) {
+      if (!block.hasTransactions()) {
+        continue;
+      }
+      const position = block.transactions.findIndex(tx => tx.id === txId);
+      if (position >= 0) {
+        return { block, transaction: block.transactions[position], position };
       }
     }
 
-    return balance;
+    return null;
   }
 
   /**
-   * 获取指定地址的交易历史
-   * @param {string} address - 要查询的地址
-   * @returns {Array} - 交易历史列表
+   * 在主链中查找已打包的交易，内存中找不到时通过存储的交易索引查找较早的区块
+   * @param {string} txId - 交易ID
+   * @returns {Promise<Object|null>} - { block, transaction, position }，交易不在主链中时返回null
    */
-  getTransactionsForAddress(address) {
-    const transactions = [];
+  async locateTransaction(txId) {
+    const found = this.findTransaction(txId);
+    if (found || !this.blockStore) {
+      return found;
+    }
 
-    // 遍历所有区块中的所有交易
-    for (const block of this.chain) {
-      for (const transaction of block.transactions) {
-        if (
-          transaction.fromAddress === address ||
-          transaction.toAddress === address
-        ) {
-          transactions.push({
-            ...transaction,
-            blockIndex: block.index,
-            blockHash: block.hash,
-          });
+    const stored = await this.blockStore.loadTransaction(txId);
+    if (!stored) {
+      return null;
+    }
+
+    // 存储可能还没有写入最近一次链重组，只接受仍在主链上的区块
+    if (!this.isOnMainChain(stored.block)) {
+      return null;
+    }
+    return { block: stored.block, transaction: stored.transaction, position: stored.position };
+  }
+
+  /**
+   * 检查区块是否在当前主链上
+   * @param {Block} block - 区块
+   * @returns {boolean} - 主链上同一高度的区块是否就是该区块
+   */
+  isOnMainChain(block) {
+    const header = this.chain[block.index];
+    return !!header && header.hash === block.hash;
+  }
+
+  /**
+   * 查询交易状态：已打包进主链、在交易池中等待打包，或者被拒绝、被移出交易池
+   * @param {string} txId - 交易ID
+   * @returns {Promise<Object|null>} - { status, ... }，status 为 confirmed 时包含 blockIndex、blockHash，
+   *   为 pending 或 rejected 时见 Mempool.getStatus；节点没有该交易的记录时返回null
+   */
+  async getTransactionStatus(txId) {
+    const found = await this.locateTransaction(txId);
+    if (found) {
+      return { status: 'confirmed', blockIndex: found.block.index, blockHash: found.block.hash };
+    }
+
+    return this.mempool.getStatus(txId);
+  }
+
+  /**
+   * 设置保存完整区块的存储
+   * 设置后主链上除最近 recentBlocks 个区块外只在内存中保留区块头，需要完整区块时通过LRU缓存从存储加载
+   * @param {Object} blockStore - 存储，需要提供 loadBlock(index) 和 loadTransaction(txId)
+   * @param {Object} options - 配置
+   * @param {number} options.recentBlocks - 主链末端保留完整区块的数量，决定了能够处理的最大链重组深度
+   * @param {number} options.cacheSize - 按需加载的区块最多缓存的数量，默认 100
+   */
+  setBlockStore(blockStore, { recentBlocks, cacheSize }) {
+    this.blockStore = blockStore;
+    this.recentBlocks = recentBlocks;
+    this.blockCache = new LRUCache(cacheSize || DEFAULT_BLOCK_CACHE_SIZE);
+    this.pruneBlocks();
+  }
+
+  /**
+   * 记录已写入存储的主链，由存储在保存或加载主链后调用
+   * @param {number} length - 已保存的主链长度
+   * @param {string} tipHash - 已保存的主链最新区块哈希
+   */
+  setPersistedChain(length, tipHash) {
+    this.persistedLength = length;
+    this.persistedTipHash = tipHash;
+    this.pruneBlocks();
+  }
+
+  /**
+   * 把超出最近区块范围且已写入存储的主链区块替换为只包含区块头的区块，释放交易占用的内存
+   * 只保留区块头的区块总是位于创世区块之后的一段连续高度 [1, prunedHeight)
+   */
+  pruneBlocks() {
+    // 保存失败或保存后发生链重组时，存储中的区块与主链不一致，等待下一次保存成功后再释放
+    const persistedTip = this.chain[this.persistedLength - 1];
+    const persistedLength = persistedTip && persistedTip.hash === this.persistedTipHash ? this.persistedLength : 0;
+    const limit = Math.min(this.chain.length - this.recentBlocks, persistedLength);
+    while (this.prunedHeight < limit) {
+      const block = this.chain[this.prunedHeight];
+      if (block.hasTransactions()) {
+        const header = Block.fromHeader(block.getHeader());
+        this.chain[this.prunedHeight] = header;
+        // 检查点以下的旧格式区块（区块树的根除外）不在区块树中
+        const entry = this.blocks.get(block.hash);
+        if (entry && entry.height === this.prunedHeight) {
+          entry.block = header;
         }
       }
+      this.prunedHeight++;
+    }
+  }
+
+  /**
+   * 获取主链上指定高度的完整区块，只保留区块头的区块通过LRU缓存从存储加载
+   * @param {number} index - 区块高度
+   * @returns {Promise<Block|null>} - 完整区块，高度超出主链时返回null；存储中的区块缺失或与主链不一致时抛出错误
+   */
+  async getBlock(index) {
+    const header = this.chain[index];
+    if (!header) {
+      return null;
+    }
+    if (header.hasTransactions()) {
+      return header;
+    }
+
+    // 链重组后同一高度的缓存区块可能已不在主链上，需要重新加载
+    let block = this.blockCache.get(index);
+    if (!block || block.hash !== header.hash) {
+      block = await this.blockStore.loadBlock(index);
+      if (!block) {
+        throw new Error(`存储中缺少区块 #${index}`);
+      }
+      if (block.hash !== header.hash) {
+        throw new Error(`存储中的区块 #${index} 与主链不一致`);
+      }
+      this.blockCache.set(index, block);
     }
+    return block;
+  }
 
-    return transactions;
+  /**
+   * 获取完整的主链，只保留区块头的区块从存储加载
+   * @returns {Promise<Array>} - 从创世区块开始的完整区块列表
+   */
+  async loadChain() {
+    const chain = [];
+    for (let i = 0; i < this.chain.length; i++) {
+      chain.push(await this.getBlock(i));
+    }
+    return chain;
   }
 
   /**
-   * 验证区块链的完整性
-   * @returns {boolean} - 区块链是否有效
+   * 验证区块链的完整性，只保留区块头的区块从存储加载
+   * @returns {Promise<boolean>} - 区块链是否有效
    */
-  isChainValid() {
-    // 从第二个区块开始验证（第一个是创世区块）
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+  async isChainValid() {
+    return this.isValidChain(await this.loadChain()).valid;
+  }
 
-      // 验证当前区块的哈希是否正确
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        console.error(`区块 #${i} 的哈希值无效`);
-        return false;
+  /**
+   * 计算链的累计工作量
+   * 已在区块树中的区块直接使用记录的累计工作量，只累加其后不在区块树中的区块
+   * @param {Array} chain - 区块列表（默认为当前链）
+   * @param {number} endIndex - 只累计到该索引（包含），默认为整条链
+   * @returns {bigint} - 累计工作量
+   */
+  getChainWork(chain = this.chain, endIndex = chain.length - 1) {
+    let work = 0n;
+    for (let i = endIndex; i >= 0; i--) {
+      // 旧格式区块的哈希可能与区块树中其他高度的区块相同
+      const entry = this.blocks.get(chain[i].hash);
+      if (entry && entry.height === i) {
+        return entry.chainWork + work;
       }
+      work += chain[i].getWork();
+    }
+    return work;
+  }
+
+  /**
+   * 比较两条链的优先级（分叉选择规则）
+   * 累计工作量大的链优先；工作量相同时，最新区块哈希较小的链优先，
+   * 保证所有节点在平局时做出相同的选择
+   * @param {Array} chainA - 第一条链
+   * @param {Array} chainB - 第二条链
+   * @returns {number} - chainA 更优返回1，chainB 更优返回-1，相同返回0
+   */
+  compareChains(chainA, chainB) {
+    return compareWork(
+      this.getChainWork(chainA),
+      chainA[chainA.length - 1].hash,
+      this.getChainWork(chainB),
+      chainB[chainB.length - 1].hash
+    );
+  }
+
+  /**
+   * 设置主链并重建区块树索引（用于从存储或JSON加载）
+   * @param {Array} chain - 从创世区块开始的区块列表
+   * @param {AccountState} accountState - 链末端的账户状态，不传时重放整条链计算（此时所有区块都必须是完整区块）
+   */
+  setChain(chain, accountState = null) {
+    // 第一个区块的难度是链参数，加载已有的链时以链上数据为准
+    if (chain.length > 1) {
+      this.initialBits = chain[1].bits;
+    }
+    this.chain = chain;
+    this.accountState = accountState || AccountState.fromChain(chain);
+
+    // 旧格式区块的哈希不由区块内容计算，可能重复，不记入按哈希索引的区块树；
+    // 最后一个旧格式区块（没有旧格式区块时为创世区块）作为区块树的根，记录到它为止的累计工作量
+    const rootHeight = Math.max(Math.min(this.legacyHeight, chain.length) - 1, 0);
+    let rootWork = 0n;
+    for (let i = 0; i <= rootHeight; i++) {
+      rootWork += chain[i].getWork();
+    }
+    this.blocks.clear();
+    this.blocks.set(chain[rootHeight].hash, { block: chain[rootHeight], height: rootHeight, chainWork: rootWork });
+    for (let i = rootHeight + 1; i < chain.length; i++) {
+      this.indexBlock(chain[i]);
+    }
+
+    // 从存储加载的链中较早的区块可能只有区块头
+    this.prunedHeight = 1;
+    while (this.prunedHeight < chain.length && !chain[this.prunedHeight].hasTransactions()) {
+      this.prunedHeight++;
+    }
+    this.pruneBlocks();
+  }
+
+  /**
+   * 将区块记录到区块树索引中（不做验证，也不切换主链）
+   * @param {Block} block - 要记录的区块
+   * @returns {Object} - 区块树中的节点 { block, height, chainWork }
+   */
+  indexBlock(block) {
+    const existing = this.blocks.get(block.hash);
+    if (existing) {
+      return existing;
+    }
 
-      // 验证当前区块的previousHash是否指向前一个区块的哈希
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        console.error(`区块 #${i} 的前一个区块哈希值无效`);
-        return false;
+    const parent = this.blocks.get(block.previousHash);
+    const entry = {
+      block,
+      height: block.index,
+      chainWork: (parent ? parent.chainWork : 0n) + block.getWork()
+    };
+    this.blocks.set(block.hash, entry);
+    return entry;
+  }
+
+  /**
+   * 获取从创世区块到指定区块的分支
+   * 区块树的根是最后一个旧格式区块时，之前的旧格式区块取自主链
+   * @param {string} tipHash - 分支最新区块的哈希
+   * @returns {Array} - 区块列表
+   */
+  getBranch(tipHash) {
+    const branch = [];
+    let entry = this.blocks.get(tipHash);
+    while (entry) {
+      branch.push(entry.block);
+
+      // 父区块的高度必须正好小1，重复或指向自身的哈希不会造成循环
+      const parent = this.blocks.get(entry.block.previousHash);
+      if (!parent || parent.height !== entry.height - 1) {
+        break;
       }
+      entry = parent;
+    }
+    branch.reverse();
 
-      // 验证区块是否符合难度要求
-      if (
-        currentBlock.hash.substring(0, currentBlock.difficulty) !==
-        '0'.repeat(currentBlock.difficulty)
-      ) {
-        console.error(`区块 #${i} 未满足难度要求`);
-        return false;
+    const rootHeight = entry ? entry.height : 0;
+    return rootHeight > 0 ? [...this.chain.slice(0, rootHeight), ...branch] : branch;
+  }
+
+  /**
+   * 获取区块树中所有分支的最新区块
+   * @returns {Array} - 分支信息列表 { hash, height, chainWork, isMain }
+   */
+  getTips() {
+    const parents = new Set();
+    for (const entry of this.blocks.values()) {
+      parents.add(entry.block.previousHash);
+    }
+
+    const mainTip = this.getLatestBlock().hash;
+    return [...this.blocks.values()]
+      .filter((entry) => !parents.has(entry.block.hash))
+      .map((entry) => ({
+        hash: entry.block.hash,
+        height: entry.height,
+        chainWork: entry.chainWork,
+        isMain: entry.block.hash === mainTip
+      }));
+  }
+
+  /**
+   * 将区块加入区块树
+   * 区块可以接在任意已知区块之后；所在分支的累计工作量超过主链时自动重组
+   * @param {Block|Object} blockData - 区块对象或JSON格式的区块数据
+   * @returns {Object} - 结果 { status, reason, message }，status 取值见 BlockStatus
+   */
+  addBlock(blockData) {
+    const block = toBlock(blockData);
+
+    if (this.blocks.has(block.hash)) {
+      return { status: BlockStatus.DUPLICATE };
+    }
+
+    const parent = this.blocks.get(block.previousHash);
+    if (!parent) {
+      return { status: BlockStatus.ORPHAN };
+    }
+
+    // 接在主链末端的区块只需在当前账户状态的副本上验证，其他分支从分叉点开始验证
+    const tip = this.getLatestBlock();
+    let result;
+    if (block.previousHash === tip.hash) {
+      const error = this.validateBlock(
+        block,
+        tip,
+        this.accountState.clone(),
+        this.getExpectedBits(this.chain, this.chain.length)
+      );
+      result = error || { valid: true };
+    } else {
+      const branch = this.getBranch(block.previousHash);
+      branch.push(block);
+      result = this.validateBranch(branch);
+    }
+    if (!result.valid) {
+      return { status: BlockStatus.INVALID, reason: result.reason, message: result.message };
+    }
+
+    const entry = this.indexBlock(block);
+    const tipEntry = this.blocks.get(tip.hash);
+
+    // 分支工作量不足，只保存为侧链
+    if (compareWork(entry.chainWork, block.hash, tipEntry.chainWork, tip.hash) <= 0) {
+      return { status: BlockStatus.SIDE_BRANCH };
+    }
+
+    const { disconnected } = this.switchToBranch(block.hash);
+    return {
+      status: disconnected.length > 0 ? BlockStatus.REORGANIZED : BlockStatus.EXTENDED
+    };
+  }
+
+  /**
+   * 找到分支与主链第一个不同区块的高度
+   * @param {Array} branch - 从创世区块开始的区块列表
+   * @returns {number} - 第一个不同区块的高度，分叉点为该高度减1
+   */
+  getForkIndex(branch) {
+    let forkIndex = 0;
+    while (
+      forkIndex < this.chain.length &&
+      forkIndex < branch.length &&
+      this.chain[forkIndex].hash === branch[forkIndex].hash
+    ) {
+      forkIndex++;
+    }
+    return forkIndex;
+  }
+
+  /**
+   * 验证从主链分叉出的分支
+   * 分叉点及之前的区块已经在主链上验证过：把主链账户状态的副本撤销到分叉点，再依次验证分叉点之后的区块，
+   * 结果与从创世区块重放整个分支相同。分叉点早于内存中保留完整区块的范围时无法撤销，分支被拒绝
+   * @param {Array} branch - 从创世区块开始的区块列表
+   * @returns {Object} - 验证结果 { valid, reason, blockIndex, message }
+   */
+  validateBranch(branch) {
+    const forkIndex = this.getForkIndex(branch);
+    if (forkIndex < this.prunedHeight) {
+      return invalid(
+        ChainValidationReason.REORG_TOO_DEEP,
+        forkIndex,
+        `分叉点 #${forkIndex - 1} 早于内存中保留完整区块的范围`
+      );
+    }
+
+    const state = this.accountState.clone();
+    for (let i = this.chain.length - 1; i >= forkIndex; i--) {
+      state.revertBlock(this.chain[i]);
+    }
+
+    for (let i = forkIndex; i < branch.length; i++) {
+      const error = this.validateBlock(branch[i], branch[i - 1], state, this.getExpectedBits(branch, i));
+      if (error) {
+        return error;
       }
     }
 
-    return true;
+    return { valid: true };
+  }
+
+  /**
+   * 将主链切换到指定分支
+   * 断开的区块中的普通交易回到交易池，新连接区块中的交易从交易池移除
+   * @param {string} tipHash - 新主链最新区块的哈希
+   * @returns {Object} - { disconnected, connected } 断开和新连接的区块
+   */
+  switchToBranch(tipHash) {
+    const oldTip = this.getLatestBlock();
+    const newChain = this.getBranch(tipHash);
+    const forkIndex = this.getForkIndex(newChain);
+
+    const disconnected = this.chain.slice(forkIndex);
+    const connected = newChain.slice(forkIndex);
+    this.chain = newChain;
+
+    // 增量更新账户状态：先按相反顺序撤销断开的区块，再执行新连接的区块
+    for (let i = disconnected.length - 1; i >= 0; i--) {
+      this.accountState.revertBlock(disconnected[i]);
+    }
+    for (const block of connected) {
+      this.accountState.applyBlock(block);
+    }
+    this.pruneBlocks();
+
+    // 更新交易池：放回被断开区块中的普通交易，移除已上链的交易，再在新的账户状态上重新验证
+    const connectedTransactions = connected.flatMap((block) => block.transactions);
+    const connectedIds = new Set(connectedTransactions.map((tx) => tx.id));
+    this.mempool.restore(
+      disconnected
+        .flatMap((block) => block.transactions)
+        .filter((tx) => !tx.isSystemTransaction() && !connectedIds.has(tx.id))
+    );
+    this.mempool.removeConfirmed(connectedTransactions);
+    this.mempool.revalidate(this.accountState);
+
+    // 正在进行的挖矿需要基于新的最新区块重新开始
+    if (connected.length > 0) {
+      this.emit('tipChanged', this.getLatestBlock());
+    }
+
+    if (disconnected.length > 0) {
+      console.log(
+        `链重组: 断开 ${disconnected.length} 个区块，连接 ${connected.length} 个区块，新的最新区块 #${this.getLatestBlock().index}`
+      );
+      this.emit('reorg', {
+        oldTip,
+        newTip: this.getLatestBlock(),
+        forkHeight: forkIndex - 1,
+        disconnected,
+        connected
+      });
+    }
+
+    return { disconnected, connected };
   }
 
   /**
-   * 替换当前链为更长的有效链
+   * 替换当前链为累计工作量更大的有效链
    * @param {Array} newChain - 新的区块链
    * @returns {boolean} - 是否成功替换
    */
   replaceChain(newChain) {
-    // 验证新链的长度是否大于当前链
-    if (newChain.length <= this.chain.length) {
-      console.log('接收到的链不比当前链长，不替换');
+    // 网络或测试传入的可能是JSON数据，统一转换为区块对象
+    newChain = newChain.map(toBlock);
+
+    // 验证新链是否优于当前链
+    if (newChain.length === 0 || this.compareChains(newChain, this.chain) <= 0) {
+      console.log('接收到的链工作量不比当前链大，不替换');
       return false;
     }
 
     // 验证新链的有效性
-    if (!this.isValidChain(newChain)) {
-      console.log('接收到的链无效，不替换');
+    const result = this.isValidChain(newChain);
+    if (!result.valid) {
+      console.log(`接收到的链无效，不替换: ${result.message}`);
+      return false;
+    }
+
+    // 需要撤销的区块只保留了区块头时无法切换
+    if (this.getForkIndex(newChain) < this.prunedHeight) {
+      console.log('接收到的链分叉点早于内存中保留完整区块的范围，不替换');
       return false;
     }
 
     console.log('替换当前链为新链');
-    this.chain = newChain;
+    // 检查点以下的旧格式区块与本地主链相同，不记入区块树
+    for (const block of newChain.slice(this.legacyHeight)) {
+      this.indexBlock(block);
+    }
+    this.switchToBranch(newChain[newChain.length - 1].hash);
     this.emit('chainReplaced', this.chain);
     return true;
   }
 
   /**
    * 验证一个链是否有效
+   * 从创世区块开始，在全新的账户状态上逐个重放区块，检查区块头、交易签名、
+   * 序号、余额、挖矿奖励、时间戳和难度；检查点以下的旧格式区块只要求与本地主链的区块头一致
    * @param {Array} chain - 要验证的链
-   * @returns {boolean} - 链是否有效
+   * @returns {Object} - 验证结果 { valid, reason, blockIndex, message }，
+   *   reason 取值见 ChainValidationReason
    */
   isValidChain(chain) {
-    // 验证创世区块 - 只检查索引和哈希前缀
+    chain = chain.map(toBlock);
+
+    if (chain.length === 0) {
+      return invalid(ChainValidationReason.INVALID_GENESIS, 0, '链中没有创世区块');
+    }
+
+    // 验证创世区块必须与本地创世区块一致
     const genesisBlock = chain[0];
-    if (genesisBlock.index !== 0 || !genesisBlock.hash.startsWith('0')) {
-      console.log('创世区块无效');
-      return false;
+    if (
+      genesisBlock.index !== 0 ||
+      genesisBlock.previousHash !== '0'.repeat(64) ||
+      genesisBlock.transactions.length !== 0 ||
+      genesisBlock.hash !== this.chain[0].hash
+    ) {
+      return invalid(ChainValidationReason.INVALID_GENESIS, 0, '创世区块无效');
     }
 
+    // 从空的账户状态开始重放
+    const state = new AccountState();
+
     // 验证链中的每个区块
     for (let i = 1; i < chain.length; i++) {
-      const block = chain[i];
-      const previousBlock = chain[i - 1];
+      // 检查点以下的旧格式区块与加载时一样不验证、按原样执行交易，但区块头必须与本地主链一致
+      if (i < this.legacyHeight) {
+        if (!this.chain[i] || JSON.stringify(chain[i].getHeader()) !== JSON.stringify(this.chain[i].getHeader())) {
+          return invalid(ChainValidationReason.INVALID_CHECKPOINT, i, `区块 #${i} 与本地检查点以下的旧格式区块不一致`);
+        }
+        state.applyBlock(chain[i]);
+        continue;
+      }
 
-      // 验证区块哈希前缀符合难度要求
-      if (!block.hash.startsWith('0'.repeat(block.difficulty))) {
-        console.log(`区块 #${i} 的哈希不符合难度要求`);
-        return false;
+      const expectedBits = this.getExpectedBits(chain, i);
+      const error = this.validateBlock(chain[i], chain[i - 1], state, expectedBits);
+      if (error) {
+        return error;
       }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * 在给定账户状态上验证并应用一个区块
+   * @param {Block} block - 要验证的区块
+   * @param {Block} previousBlock - 前一个区块
+   * @param {AccountState} state - 账户状态，验证通过的交易会更新该状态
+   * @param {number} expectedBits - 按链历史计算出的该高度的目标值
+   * @returns {Object|null} - 验证失败时返回原因对象，成功时返回null
+   */
+  validateBlock(block, previousBlock, state, expectedBits) {
+    const i = block.index;
+
+    // 验证区块索引连续
+    if (block.index !== previousBlock.index + 1) {
+      return invalid(ChainValidationReason.INVALID_INDEX, i, `区块 #${i} 的索引不连续`);
+    }
+
+    // 验证区块链接
+    if (block.previousHash !== previousBlock.hash) {
+      return invalid(ChainValidationReason.INVALID_PREVIOUS_HASH, i, `区块 #${i} 的前一个区块哈希值无效`);
+    }
 
-      // 验证区块链接
-      if (block.previousHash !== previousBlock.hash) {
-        console.log(`区块 #${i} 的前一个区块哈希值无效`);
-        return false;
+    // 验证时间戳不早于前一个区块，且不超前于当前时间太多
+    if (block.timestamp < previousBlock.timestamp) {
+      return invalid(ChainValidationReason.INVALID_TIMESTAMP, i, `区块 #${i} 的时间戳早于前一个区块`);
+    }
+    if (block.timestamp > Date.now() + MAX_FUTURE_BLOCK_TIME) {
+      return invalid(ChainValidationReason.INVALID_TIMESTAMP, i, `区块 #${i} 的时间戳超前当前时间过多`);
+    }
+
+    // 验证目标值必须等于难度调整算法计算出的值
+    if (block.bits !== expectedBits) {
+      return invalid(
+        ChainValidationReason.INVALID_DIFFICULTY,
+        i,
+        `区块 #${i} 的目标值 ${block.bits} 不符合预期，应为 ${expectedBits}`
+      );
+    }
+
+    // 验证区块容量，与打包区块模板时的限制一致
+    if (block.transactions.length > this.maxBlockTransactions) {
+      return invalid(
+        ChainValidationReason.BLOCK_TOO_LARGE,
+        i,
+        `区块 #${i} 包含 ${block.transactions.length} 笔交易，超过上限 ${this.maxBlockTransactions}`
+      );
+    }
+    const blockSize = block.transactions.reduce((sum, tx) => sum + tx.getSize(), 0);
+    if (blockSize > this.maxBlockSize) {
+      return invalid(
+        ChainValidationReason.BLOCK_TOO_LARGE,
+        i,
+        `区块 #${i} 的交易总字节数 ${blockSize} 超过上限 ${this.maxBlockSize}`
+      );
+    }
+
+    // 验证默克尔根
+    if (block.merkleRoot !== block.calculateMerkleRoot()) {
+      return invalid(ChainValidationReason.INVALID_MERKLE_ROOT, i, `区块 #${i} 的默克尔根无效`);
+    }
+
+    // 重新计算区块哈希
+    if (block.hash !== block.calculateHash()) {
+      return invalid(ChainValidationReason.INVALID_HASH, i, `区块 #${i} 的哈希值与区块内容不符`);
+    }
+
+    // 验证区块哈希满足难度要求
+    if (!hashMeetsTarget(block.hash, block.bits)) {
+      return invalid(ChainValidationReason.INSUFFICIENT_WORK, i, `区块 #${i} 的哈希不符合难度要求`);
+    }
+
+    // 每个区块必须有且只有一笔挖矿奖励交易
+    const rewardCount = block.transactions.filter((tx) => tx.type === 'reward').length;
+    if (rewardCount !== 1) {
+      return invalid(ChainValidationReason.INVALID_COINBASE, i, `区块 #${i} 包含 ${rewardCount} 笔挖矿奖励交易`);
+    }
+
+    // 验证挖矿奖励没有超过区块奖励加手续费
+    if (!this.hasValidReward(block)) {
+      return invalid(ChainValidationReason.INVALID_REWARD, i, `区块 #${i} 的挖矿奖励超额`);
+    }
+
+    // 交易ID是交易内容的哈希，同一区块中不能包含相同的交易
+    if (new Set(block.transactions.map((tx) => tx.id)).size !== block.transactions.length) {
+      return invalid(ChainValidationReason.INVALID_TRANSACTION, i, `区块 #${i} 包含重复的交易`);
+    }
+
+    // 按顺序重放交易
+    for (const transaction of block.transactions) {
+      const error = this.applyTransaction(transaction, state, i);
+      if (error) {
+        return error;
       }
     }
 
-    return true;
+    // 验证状态根与执行区块后的账户状态一致
+    if (block.stateRoot !== state.getRoot()) {
+      return invalid(ChainValidationReason.INVALID_STATE_ROOT, i, `区块 #${i} 的状态根与账户状态不符`);
+    }
+
+    return null;
+  }
+
+  /**
+   * 在账户状态上验证并执行一笔交易
+   * @param {Transaction} transaction - 要执行的交易
+   * @param {AccountState} state - 账户状态
+   * @param {number} blockIndex - 交易所在区块的索引
+   * @returns {Object|null} - 验证失败时返回原因对象，成功时返回null
+   */
+  applyTransaction(transaction, state, blockIndex) {
+    // 验证签名以及公钥与发送方地址是否对应
+    let isValid;
+    try {
+      isValid = transaction.isValid();
+    } catch (error) {
+      isValid = false;
+    }
+    if (!isValid) {
+      return invalid(
+        ChainValidationReason.INVALID_TRANSACTION,
+        blockIndex,
+        `区块 #${blockIndex} 包含无效交易 ${transaction.id}`
+      );
+    }
+
+    // 挖矿奖励和空交易的序号必须是区块高度，保证不同区块中的系统交易ID不同
+    if (transaction.isSystemTransaction() && transaction.nonce !== blockIndex) {
+      return invalid(
+        ChainValidationReason.INVALID_TRANSACTION,
+        blockIndex,
+        `区块 #${blockIndex} 的系统交易 ${transaction.id} 序号应为区块高度`
+      );
+    }
+
+    // 空交易不能转移任何金额
+    if (transaction.type === 'empty' && transaction.amount !== 0n) {
+      return invalid(
+        ChainValidationReason.INVALID_TRANSACTION,
+        blockIndex,
+        `区块 #${blockIndex} 的空交易 ${transaction.id} 金额不为0`
+      );
+    }
+
+    if (!transaction.isSystemTransaction()) {
+      const sender = transaction.fromAddress;
+
+      // 验证金额和手续费
+      if (
+        typeof transaction.amount !== 'bigint' ||
+        typeof transaction.fee !== 'bigint' ||
+        transaction.amount <= 0n ||
+        transaction.fee < 0n
+      ) {
+        return invalid(
+          ChainValidationReason.INVALID_TRANSACTION,
+          blockIndex,
+          `区块 #${blockIndex} 的交易 ${transaction.id} 金额或手续费无效`
+        );
+      }
+
+      // 验证交易序号，防止重复或乱序的交易被打包
+      const expectedNonce = state.getNonce(sender);
+      if (transaction.nonce !== expectedNonce) {
+        return invalid(
+          ChainValidationReason.INVALID_NONCE,
+          blockIndex,
+          `区块 #${blockIndex} 的交易 ${transaction.id} 序号无效，期望 ${expectedNonce}，实际 ${transaction.nonce}`
+        );
+      }
+
+      // 验证发送方余额足以支付金额和手续费，余额已扣除同一区块中之前的交易，累计花费超过余额的交易被拒绝
+      const cost = transaction.amount + transaction.fee;
+      const balance = state.getBalance(sender);
+      if (balance < cost) {
+        return invalid(
+          ChainValidationReason.INSUFFICIENT_BALANCE,
+          blockIndex,
+          `区块 #${blockIndex} 的交易 ${transaction.id} 发送方余额不足`
+        );
+      }
+
+    }
+
+    state.applyTransaction(transaction);
+    return null;
   }
 
   /**
    * 将区块链转换为JSON格式
+   * 只能在主链区块都在内存中时使用，部分区块只保留区块头时使用 loadChain 获取完整区块
    * @returns {Array} - JSON格式的区块链数据
    */
   toJSON() {
+    if (this.prunedHeight > 1) {
+      throw new Error('主链较早的区块只保留了区块头，请使用 loadChain 获取完整区块');
+    }
     return this.chain.map((block) => block.toJSON());
   }
 
@@ -273,38 +1309,7 @@ export class Blockchain extends EventEmitter {
    */
   static fromJSON(data) {
     const blockchain = new Blockchain();
-    blockchain.chain = data.map((blockData) =>
-      Block.fromJSON(blockData, (txData) => Transaction.fromJSON(txData))
-    );
+    blockchain.setChain(data.map(toBlock));
     return blockchain;
   }
-
-  /**
-   * 调整挖矿难度
-   * 基于最近区块的生成速度动态调整难度
-   * @param {number} expectedBlockTime - 期望的区块生成时间（毫秒）
-   */
-  adjustDifficulty(expectedBlockTime = 10000) {
-    // 默认期望10秒生成一个区块
-    const lastBlock = this.getLatestBlock();
-
-    // 如果链中只有创世区块，保持当前难度
-    if (lastBlock.index === 0) {
-      return this.difficulty;
-    }
-
-    const previousBlock = this.chain[this.chain.length - 2];
-    const timeUsed = lastBlock.timestamp - previousBlock.timestamp;
-
-    // 如果区块生成时间过快，增加难度；如果过慢，降低难度
-    if (timeUsed < expectedBlockTime / 2) {
-      this.difficulty++;
-      console.log(`难度增加到 ${this.difficulty}`);
-    } else if (timeUsed > expectedBlockTime * 2 && this.difficulty > 1) {
-      this.difficulty--;
-      console.log(`难度降低到 ${this.difficulty}`);
-    }
-
-    return this.difficulty;
-  }
 }
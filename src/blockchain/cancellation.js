@@ -0,0 +1,102 @@
+/**
+ * 交易取消模块
+ * 发送方用自己的私钥签名一条取消请求，把尚未打包的交易从交易池中撤回
+ */
+import {
+  calculateHash,
+  sign,
+  verifySignature,
+  deriveFromPrivateKey,
+  generateAddress
+} from '../utils/crypto.js';
+
+/**
+ * 交易取消请求类
+ * 取消只作用于交易池，已被打包进区块的交易无法取消
+ */
+export class Cancellation {
+  /**
+   * 创建取消请求
+   * @param {string} txId - 要取消的交易ID
+   * @param {string} fromAddress - 交易的发送方地址
+   */
+  constructor(txId, fromAddress) {
+    this.txId = txId;
+    this.fromAddress = fromAddress;
+    this.timestamp = Date.now();
+    this.publicKey = null; // 发送方公钥，用于验证签名并确认与发送方地址对应
+    this.signature = null; // 发送方对取消请求的签名
+  }
+
+  /**
+   * 计算取消请求的哈希值，即签名的消息
+   * 带有类型字段，取消请求的签名不会与任何交易的签名混淆
+   * @returns {string} - 哈希值
+   */
+  calculateHash() {
+    return calculateHash({
+      type: 'cancel',
+      txId: this.txId,
+      fromAddress: this.fromAddress,
+      timestamp: this.timestamp,
+      publicKey: this.publicKey
+    });
+  }
+
+  /**
+   * 使用发送方的私钥对取消请求签名
+   * @param {string} signingKey - 发送方的私钥
+   */
+  sign(signingKey) {
+    const { publicKey, address } = deriveFromPrivateKey(signingKey);
+    if (address !== this.fromAddress) {
+      throw new Error('不能取消其他钱包的交易');
+    }
+
+    this.publicKey = publicKey;
+    this.signature = sign(this.calculateHash(), signingKey);
+  }
+
+  /**
+   * 验证取消请求的签名，以及公钥是否与发送方地址对应
+   * @returns {boolean} - 签名是否有效
+   */
+  isValid() {
+    if (!this.txId || !this.fromAddress || !this.publicKey || !this.signature) {
+      return false;
+    }
+
+    if (generateAddress(this.publicKey) !== this.fromAddress) {
+      return false;
+    }
+
+    return verifySignature(this.calculateHash(), this.signature, this.publicKey);
+  }
+
+  /**
+   * 将取消请求转换为JSON格式
+   * @returns {Object} - JSON格式的取消请求
+   */
+  toJSON() {
+    return {
+      txId: this.txId,
+      fromAddress: this.fromAddress,
+      timestamp: this.timestamp,
+      publicKey: this.publicKey,
+      signature: this.signature
+    };
+  }
+
+  /**
+   * 从JSON数据创建取消请求
+   * @param {Object} data - JSON格式的取消请求
+   * @returns {Cancellation} - 取消请求
+   */
+  static fromJSON(data) {
+    const cancellation = new Cancellation(data.txId, data.fromAddress);
+    cancellation.timestamp = data.timestamp;
+    cancellation.publicKey = data.publicKey || null;
+    cancellation.signature = data.signature || null;
+    return cancellation;
+  }
+}
@@ -0,0 +1,534 @@
+/**
+ * 交易池模块
+ * 保存等待打包的交易。每笔交易进入交易池前都要在主链末端的账户状态上验证，
+ * 并计入同一发送方在池中已有交易的序号和花费；区块连接或链重组后重新验证池中的交易
+ */
+import { EventEmitter } from 'events';
+
+// 默认交易池容量限制
+const DEFAULT_MAX_MEMPOOL_TRANSACTIONS = 5000; // 交易池最多容纳的交易数
+const DEFAULT_MAX_MEMPOOL_SIZE = 1024 * 1024; // 交易池中交易的最大总字节数
+
+// 交易在池中停留超过该时间（毫秒）仍未被打包时过期
+const DEFAULT_MEMPOOL_EXPIRY = 3 * 60 * 60 * 1000;
+
+// 最多保留多少条被拒绝或被移除交易的记录，供查询交易状态
+const MAX_REJECTION_RECORDS = 1000;
+
+// 替换交易的最低加价：手续费至少比原交易多出按新交易字节数计算的转发费用，手续费率至少比原交易高 10%，
+// 防止以极小的加价反复替换同一交易占用网络带宽
+const DEFAULT_INCREMENTAL_FEE_RATE = 1n; // 每字节的基本单位数
+const MIN_REPLACEMENT_FEE_RATE_RATIO = 1.1;
+
+/**
+ * 交易池排序方式枚举
+ */
+export const MempoolSort = {
+  FEE: 'fee', // 按手续费率从高到低，与矿工选择交易的顺序一致
+  AGE: 'age' // 按加入交易池的时间从早到晚
+};
+
+/**
+ * 交易移出交易池的原因枚举
+ */
+export const MempoolRemovalReason = {
+  CONFIRMED: 'CONFIRMED', // 交易已被打包进主链
+  EXPIRED: 'EXPIRED', // 交易在池中停留过久
+  EVICTED: 'EVICTED', // 交易池已满，被手续费率更高的交易挤出
+  INVALID: 'INVALID', // 账户状态变化后交易的序号或余额不再有效
+  REPLACED: 'REPLACED', // 被同一序号、手续费更高的交易替换
+  CANCELLED: 'CANCELLED', // 被发送方签名取消
+  REJECTED: 'REJECTED' // 未通过准入验证，没有进入交易池
+};
+
+/**
+ * 交易池类
+ * 交易按加入顺序保存，并按发送方建立按序号排序的索引；同一发送方的交易序号连续，从该发送方已上链的序号开始
+ */
+export class Mempool extends EventEmitter {
+  /**
+   * 创建交易池
+   * @param {Object} options - 配置
+   * @param {number} options.maxTransactions - 最多容纳的交易数
+   * @param {number} options.maxSize - 交易的最大总字节数
+   * @param {number} options.expiryTime - 交易的过期时间（毫秒）
+   * @param {bigint} options.incrementalFeeRate - 替换交易每字节至少增加的手续费（基本单位）
+   */
+  constructor(options = {}) {
+    super();
+    this.entries = new Map(); // 交易ID -> { transaction, addedAt, size, feeRate }，大小和手续费率在加入时计算一次
+    this.bySender = new Map(); // 发送方地址 -> 该发送方在池中的交易，按序号排序
+    this.cancelled = new Map(); // 已取消的交易ID -> 取消时间，防止其他节点转发的原交易重新加入
+    this.rejections = new Map(); // 被拒绝或被移除（已打包除外）的交易ID -> { reason, message, time }
+    this.bytes = 0; // 池中交易的总字节数
+    this.maxTransactions = options.maxTransactions || DEFAULT_MAX_MEMPOOL_TRANSACTIONS;
+    this.maxSize = options.maxSize || DEFAULT_MAX_MEMPOOL_SIZE;
+    this.expiryTime = options.expiryTime || DEFAULT_MEMPOOL_EXPIRY;
+    this.incrementalFeeRate = options.incrementalFeeRate !== undefined ? options.incrementalFeeRate : DEFAULT_INCREMENTAL_FEE_RATE;
+  }
+
+  /**
+   * 池中的交易数
+   * @returns {number} - 交易数
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 检查交易是否在池中
+   * @param {string} txId - 交易ID
+   * @returns {boolean} - 是否在池中
+   */
+  has(txId) {
+    return this.entries.has(txId);
+  }
+
+  /**
+   * 获取池中的交易
+   * @param {string} txId - 交易ID
+   * @returns {Transaction|null} - 交易，不在池中时返回null
+   */
+  get(txId) {
+    const entry = this.entries.get(txId);
+    return entry ? entry.transaction : null;
+  }
+
+  /**
+   * 按加入顺序获取池中的所有交易
+   * @returns {Array} - 交易列表
+   */
+  getTransactions() {
+    return [...this.entries.values()].map((entry) => entry.transaction);
+  }
+
+  /**
+   * 获取指定发送方在池中的交易，按序号排序
+   * @param {string} address - 发送方地址
+   * @returns {Array} - 交易列表
+   */
+  getTransactionsFrom(address) {
+    const transactions = this.bySender.get(address);
+    return transactions ? [...transactions] : [];
+  }
+
+  /**
+   * 按发送方获取池中的交易条目，供矿工选择交易
+   * @returns {Array} - 每个发送方一个条目列表，列表按序号排序
+   */
+  getSenderQueues() {
+    return [...this.bySender.values()].map((transactions) =>
+      transactions.map((tx) => this.entries.get(tx.id))
+    );
+  }
+
+  /**
+   * 把交易加入池中并按序号插入发送方的交易列表
+   * @param {Transaction} transaction - 交易
+   * @param {number} addedAt - 加入时间
+   * @param {number} size - 交易字节数
+   */
+  insert(transaction, addedAt, size) {
+    const feeRate = Number(transaction.fee) / size;
+    this.entries.set(transaction.id, { transaction, addedAt, size, feeRate });
+    this.bytes += size;
+
+    const sender = transaction.fromAddress;
+    if (!this.bySender.has(sender)) {
+      this.bySender.set(sender, []);
+    }
+    const transactions = this.bySender.get(sender);
+    let i = transactions.length;
+    while (i > 0 && transactions[i - 1].nonce > transaction.nonce) {
+      i--;
+    }
+    transactions.splice(i, 0, transaction);
+  }
+
+  /**
+   * 获取指定地址下一笔交易应使用的序号
+   * @param {string} address - 发送方地址
+   * @param {AccountState} state - 主链末端的账户状态
+   * @returns {number} - 下一个期望的交易序号
+   */
+  getNextNonce(address, state) {
+    return state.getNonce(address) + this.getTransactionsFrom(address).length;
+  }
+
+  /**
+   * 获取指定发送方在池中的交易总花费（金额加手续费）
+   * @param {string} address - 发送方地址
+   * @returns {bigint} - 总花费（基本单位）
+   */
+  getPendingSpend(address) {
+    return this.getTransactionsFrom(address).reduce((sum, tx) => sum + tx.amount + tx.fee, 0n);
+  }
+
+  /**
+   * 检查替换交易的加价是否足够
+   * @param {Transaction} transaction - 替换交易
+   * @param {number} size - 替换交易的字节数
+   * @param {Object} replacedEntry - 被替换交易的交易池条目
+   */
+  checkReplacementFee(transaction, size, replacedEntry) {
+    const minFee = replacedEntry.transaction.fee + BigInt(size) * this.incrementalFeeRate;
+    if (transaction.fee < minFee) {
+      throw new Error(`替换交易的手续费至少为 ${minFee}`);
+    }
+
+    if (Number(transaction.fee) / size < replacedEntry.feeRate * MIN_REPLACEMENT_FEE_RATE_RATIO) {
+      throw new Error('替换交易的手续费率必须比原交易高至少 10%');
+    }
+  }
+
+  /**
+   * 验证交易并加入交易池
+   * 与池中交易序号相同且加价足够的交易替换原交易；
+   * 交易池已满时挤出手续费率最低的交易（费率相同时挤出最早加入的），新交易的费率不高于它们时拒绝
+   * @param {Transaction} transaction - 要加入的交易
+   * @param {AccountState} state - 主链末端的账户状态
+   * @param {number} now - 当前时间，用于清理过期交易
+   */
+  add(transaction, state, now = Date.now()) {
+    // 挖矿奖励和空交易只能由矿工在区块中创建
+    if (transaction.isSystemTransaction()) {
+      throw new Error('挖矿奖励和空交易不能加入待处理列表');
+    }
+
+    if (!transaction.fromAddress) {
+      throw new Error('交易必须有发送方地址');
+    }
+
+    if (!transaction.toAddress) {
+      throw new Error('交易必须有接收方地址');
+    }
+
+    // 金额和手续费必须是基本单位整数，带小数的可读金额应在 API 边界转换
+    if (typeof transaction.amount !== 'bigint') {
+      throw new Error('交易金额必须是以基本单位表示的整数');
+    }
+
+    if (transaction.amount <= 0n) {
+      throw new Error('交易金额必须大于0');
+    }
+
+    if (typeof transaction.fee !== 'bigint' || transaction.fee < 0n) {
+      throw new Error('交易手续费必须是以基本单位表示的非负整数');
+    }
+
+    // 验证签名以及公钥与发送方地址是否对应
+    if (!transaction.isValid()) {
+      throw new Error('交易签名无效或公钥与发送方地址不匹配');
+    }
+
+    if (this.has(transaction.id)) {
+      throw new Error('交易已在待处理列表中');
+    }
+
+    this.expire(now);
+
+    if (this.cancelled.has(transaction.id)) {
+      throw new Error('交易已被发送方取消');
+    }
+
+    // 验证交易序号：紧接池中已有的交易，或者替换池中同一序号的交易，拒绝重复或乱序的交易
+    const sender = transaction.fromAddress;
+    const replaced = this.getTransactionsFrom(sender).find((tx) => tx.nonce === transaction.nonce);
+    const expectedNonce = this.getNextNonce(sender, state);
+    if (!replaced && transaction.nonce !== expectedNonce) {
+      throw new Error(`交易序号无效，期望 ${expectedNonce}，实际 ${transaction.nonce}`);
+    }
+
+    const size = transaction.getSize();
+    const replacedEntry = replaced ? this.entries.get(replaced.id) : null;
+    if (replacedEntry) {
+      this.checkReplacementFee(transaction, size, replacedEntry);
+    }
+
+    // 发送方余额必须足以支付池中已有的花费和这笔交易，被替换交易的花费不再计入
+    const cost = transaction.amount + transaction.fee;
+    const replacedCost = replaced ? replaced.amount + replaced.fee : 0n;
+    if (state.getBalance(sender) < this.getPendingSpend(sender) - replacedCost + cost) {
+      throw new Error('余额不足');
+    }
+
+    if (size > this.maxSize) {
+      throw new Error('交易大小超过交易池容量');
+    }
+    this.makeRoom(transaction, size, replacedEntry);
+
+    if (replacedEntry) {
+      this.remove(replaced.id, MempoolRemovalReason.REPLACED);
+    }
+    this.insert(transaction, now, size);
+  }
+
+  /**
+   * 按发送方签名的取消请求移除交易，同一发送方序号更大的交易因序号不再连续随之移除
+   * @param {Cancellation} cancellation - 取消请求
+   * @param {number} now - 当前时间
+   * @returns {Transaction} - 被取消的交易
+   */
+  cancel(cancellation, now = Date.now()) {
+    if (!cancellation.isValid()) {
+      throw new Error('取消请求签名无效或公钥与发送方地址不匹配');
+    }
+
+    const transaction = this.get(cancellation.txId);
+    if (!transaction) {
+      throw new Error('交易不在待处理列表中');
+    }
+
+    if (transaction.fromAddress !== cancellation.fromAddress) {
+      throw new Error('只有交易的发送方可以取消交易');
+    }
+
+    this.cancelled.set(transaction.id, now);
+    this.remove(transaction.id, MempoolRemovalReason.CANCELLED);
+    for (const tx of this.getTransactionsFrom(transaction.fromAddress)) {
+      if (tx.nonce > transaction.nonce) {
+        this.remove(tx.id, MempoolRemovalReason.INVALID);
+      }
+    }
+    return transaction;
+  }
+
+  /**
+   * 挤出交易直到能容纳新交易，新交易发送方自己的交易不会被挤出
+   * @param {Transaction} transaction - 新交易
+   * @param {number} size - 新交易的字节数
+   * @param {Object|null} replacedEntry - 被新交易替换的交易池条目，其空间可以被新交易使用
+   */
+  makeRoom(transaction, size, replacedEntry = null) {
+    const addedCount = replacedEntry ? 0 : 1;
+    const addedBytes = size - (replacedEntry ? replacedEntry.size : 0);
+    const feeRate = Number(transaction.fee) / size;
+    while (this.size + addedCount > this.maxTransactions || this.bytes + addedBytes > this.maxSize) {
+      const victim = this.findEvictionCandidate(transaction.fromAddress);
+      if (!victim || victim.feeRate >= feeRate) {
+        throw new Error('待处理列表已满，交易手续费率过低');
+      }
+      this.remove(victim.transaction.id, MempoolRemovalReason.EVICTED);
+    }
+  }
+
+  /**
+   * 选择下一笔被挤出的交易：各发送方序号最大的交易中手续费率最低的，费率相同时选择最早加入的
+   * @param {string} excludedSender - 不参与挤出的发送方
+   * @returns {Object|null} - 交易池条目，没有可挤出的交易时返回null
+   */
+  findEvictionCandidate(excludedSender = null) {
+    let victim = null;
+    for (const [sender, transactions] of this.bySender) {
+      if (sender === excludedSender) {
+        continue;
+      }
+      const entry = this.entries.get(transactions[transactions.length - 1].id);
+      if (
+        !victim ||
+        entry.feeRate < victim.feeRate ||
+        (entry.feeRate === victim.feeRate && entry.addedAt < victim.addedAt)
+      ) {
+        victim = entry;
+      }
+    }
+    return victim;
+  }
+
+  /**
+   * 从交易池中移除交易
+   * @param {string} txId - 交易ID
+   * @param {string} reason - 移除原因，取值见 MempoolRemovalReason
+   * @returns {boolean} - 交易是否在池中
+   */
+  remove(txId, reason) {
+    const entry = this.entries.get(txId);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(txId);
+    this.bytes -= entry.size;
+    const sender = entry.transaction.fromAddress;
+    const transactions = this.bySender.get(sender);
+    transactions.splice(transactions.indexOf(entry.transaction), 1);
+    if (transactions.length === 0) {
+      this.bySender.delete(sender);
+    }
+    if (reason !== MempoolRemovalReason.CONFIRMED) {
+      this.recordRejection(txId, reason);
+    }
+    this.emit('removed', entry.transaction, reason);
+    return true;
+  }
+
+  /**
+   * 记录交易被拒绝或被移除的原因，超过记录上限时丢弃最早的记录
+   * @param {string} txId - 交易ID
+   * @param {string} reason - 原因，取值见 MempoolRemovalReason
+   * @param {string} message - 错误描述
+   * @param {number} now - 当前时间
+   */
+  recordRejection(txId, reason, message = null, now = Date.now()) {
+    this.rejections.delete(txId);
+    this.rejections.set(txId, { reason, message, time: now });
+    if (this.rejections.size > MAX_REJECTION_RECORDS) {
+      this.rejections.delete(this.rejections.keys().next().value);
+    }
+  }
+
+  /**
+   * 获取交易在交易池中的状态
+   * @param {string} txId - 交易ID
+   * @returns {Object|null} - 在池中时为 { status: 'pending', addedAt }，
+   *   被拒绝或被移除时为 { status: 'rejected', reason, message, time }，没有记录时返回null
+   */
+  getStatus(txId) {
+    const entry = this.entries.get(txId);
+    if (entry) {
+      return { status: 'pending', addedAt: entry.addedAt };
+    }
+
+    const rejection = this.rejections.get(txId);
+    return rejection ? { status: 'rejected', ...rejection } : null;
+  }
+
+  /**
+   * 按发送方、接收方筛选池中的交易并排序分页
+   * @param {Object} options - 查询选项
+   * @param {string} options.sender - 只返回该地址发送的交易
+   * @param {string} options.recipient - 只返回发送给该地址的交易
+   * @param {string} options.sort - 排序方式，取值见 MempoolSort
+   * @param {number} options.offset - 跳过的交易数
+   * @param {number} options.limit - 最多返回的交易数
+   * @returns {Object} - { total, entries }，total 为筛选后的交易总数，entries 为 { transaction, addedAt, size, feeRate } 列表
+   */
+  query({ sender = null, recipient = null, sort = MempoolSort.FEE, offset = 0, limit = Infinity } = {}) {
+    const entries = [...this.entries.values()].filter(
+      (entry) =>
+        (!sender || entry.transaction.fromAddress === sender) &&
+        (!recipient || entry.transaction.toAddress === recipient)
+    );
+
+    if (sort === MempoolSort.FEE) {
+      entries.sort(
+        (a, b) => b.feeRate - a.feeRate || a.addedAt - b.addedAt
+      );
+    } else {
+      entries.sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    return { total: entries.length, entries: entries.slice(offset, offset + limit) };
+  }
+
+  /**
+   * 获取交易池统计信息
+   * @returns {Object} - { size, bytes, maxTransactions, maxSize, expiryTime }
+   */
+  getStats() {
+    return {
+      size: this.size,
+      bytes: this.bytes,
+      maxTransactions: this.maxTransactions,
+      maxSize: this.maxSize,
+      expiryTime: this.expiryTime
+    };
+  }
+
+  /**
+   * 移除已被打包进区块的交易
+   * 只移除ID和交易哈希都与区块中的交易一致的池中交易，内容不同的交易即使ID相同也不会被当作已打包
+   * @param {Array} transactions - 区块中的交易
+   */
+  removeConfirmed(transactions) {
+    for (const tx of transactions) {
+      const pending = this.get(tx.id);
+      if (pending && pending.calculateHash() === tx.calculateHash()) {
+        this.remove(tx.id, MempoolRemovalReason.CONFIRMED);
+      }
+    }
+  }
+
+  /**
+   * 移除过期的交易，同一发送方序号更大的交易因序号不再连续随之移除
+   * @param {number} now - 当前时间
+   */
+  expire(now = Date.now()) {
+    const isExpired = (entry) => now - entry.addedAt > this.expiryTime;
+
+    // 取消记录只需保留到原交易在其他节点的交易池中也过期
+    for (const [txId, cancelledAt] of this.cancelled) {
+      if (now - cancelledAt > this.expiryTime) {
+        this.cancelled.delete(txId);
+      }
+    }
+
+    // 每个发送方最小的过期交易序号
+    const expiredFrom = new Map();
+    for (const entry of this.entries.values()) {
+      const { fromAddress, nonce } = entry.transaction;
+      if (isExpired(entry) && (!expiredFrom.has(fromAddress) || nonce < expiredFrom.get(fromAddress))) {
+        expiredFrom.set(fromAddress, nonce);
+      }
+    }
+
+    for (const entry of [...this.entries.values()]) {
+      const { id, fromAddress, nonce } = entry.transaction;
+      if (expiredFrom.has(fromAddress) && nonce >= expiredFrom.get(fromAddress)) {
+        this.remove(id, isExpired(entry) ? MempoolRemovalReason.EXPIRED : MempoolRemovalReason.INVALID);
+      }
+    }
+  }
+
+  /**
+   * 放回链重组时被断开区块中的交易，排在池中已有交易之前
+   * 放回的交易不做验证，调用方随后应调用 revalidate
+   * @param {Array} transactions - 交易列表
+   * @param {number} now - 当前时间
+   */
+  restore(transactions, now = Date.now()) {
+    const existing = [...this.entries.values()];
+    this.entries = new Map();
+    this.bySender = new Map();
+    this.bytes = 0;
+    for (const transaction of transactions) {
+      if (!this.entries.has(transaction.id)) {
+        this.insert(transaction, now, transaction.getSize());
+      }
+    }
+    for (const entry of existing) {
+      if (!this.entries.has(entry.transaction.id)) {
+        this.insert(entry.transaction, entry.addedAt, entry.size);
+      }
+    }
+  }
+
+  /**
+   * 在新的账户状态上重新验证池中的交易
+   * 每个发送方的交易按序号依次检查，序号不连续或余额不足的交易及其后续交易被移除；
+   * 仍超出容量时按挤出规则移除交易
+   * @param {AccountState} state - 主链末端的账户状态
+   * @param {number} now - 当前时间
+   */
+  revalidate(state, now = Date.now()) {
+    this.expire(now);
+
+    for (const sender of [...this.bySender.keys()]) {
+      let nonce = state.getNonce(sender);
+      let remaining = state.getBalance(sender);
+      for (const tx of this.getTransactionsFrom(sender)) {
+        const cost = tx.amount + tx.fee;
+        if (tx.nonce !== nonce || remaining < cost) {
+          this.remove(tx.id, MempoolRemovalReason.INVALID);
+          continue;
+        }
+        nonce++;
+        remaining -= cost;
+      }
+    }
+
+    while (this.size > this.maxTransactions || this.bytes > this.maxSize) {
+      this.remove(this.findEvictionCandidate().transaction.id, MempoolRemovalReason.EVICTED);
+    }
+  }
+}
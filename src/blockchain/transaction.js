@@ -2,8 +2,15 @@
  * 交易模块
  * 负责创建、验证和处理交易
  */
-import { v4 as uuidv4 } from 'uuid';
-import { calculateHash, sign, verifySignature } from '../utils/crypto.js';
+import {
+  calculateHash,
+  sign,
+  verifySignature,
+  deriveFromPrivateKey,
+  generateAddress
+} from '../utils/crypto.js';
+import { canonicalStringify } from '../utils/canonical.js';
+import { amountFromJSON, toBaseUnits } from '../utils/amount.js';
 
 /**
  * 交易类
@@ -14,44 +21,92 @@ export class Transaction {
    * 创建一个新的交易
    * @param {string} fromAddress - 发送方地址（如果是挖矿奖励，可以为null）
    * @param {string} toAddress - 接收方地址
-   * @param {number} amount - 交易金额
+   * @param {bigint|number|string} amount - 交易金额（基本单位整数）
    * @param {string} type - 交易类型（'regular'或'reward'）
+   * @param {number} nonce - 发送方账户的交易序号，从0开始，每笔交易加1；挖矿奖励和空交易为所在区块的高度
+   * @param {bigint|number|string} fee - 支付给矿工的手续费（基本单位整数，可选）
    */
-  constructor(fromAddress, toAddress, amount, type = 'regular') {
-    this.id = uuidv4(); // 生成唯一的交易ID
+  constructor(fromAddress, toAddress, amount, type = 'regular', nonce = 0, fee = 0) {
     this.fromAddress = fromAddress;
     this.toAddress = toAddress;
-    this.amount = amount;
+    this.amount = toBaseUnits(amount); // 金额（基本单位）
+    this.fee = toBaseUnits(fee); // 手续费（基本单位），由打包该交易的矿工获得
+    this.nonce = nonce; // 账户序号，防止交易被重放
     this.timestamp = Date.now();
     this.type = type; // 交易类型：regular(普通交易) 或 reward(挖矿奖励)
+    this.publicKey = null; // 发送方公钥，用于验证签名并确认与发送方地址对应
     this.signature = null; // 交易签名，用于验证交易有效性
+    this.id = this.calculateHash(); // 交易ID，即交易内容的哈希，内容修改后需要调用 updateId
   }
 
   /**
-   * 计算交易的哈希值
+   * 是否为系统交易（挖矿奖励或空交易），系统交易没有发送方也不需要签名
+   * @returns {boolean}
+   */
+  isSystemTransaction() {
+    return this.type === 'reward' || this.type === 'empty';
+  }
+
+  /**
+   * 按规范化格式序列化完整的交易（包含公钥和签名），作为默克尔树的叶子，任何字段被修改都会改变默克尔根
+   * @returns {string} - 序列化后的交易
+   */
+  serialize() {
+    return canonicalStringify(this.toJSON());
+  }
+
+  /**
+   * 获取交易序列化后的字节数，用于计算手续费率和区块大小
+   * @returns {number} - 交易大小（字节）
+   */
+  getSize() {
+    return Buffer.byteLength(this.serialize());
+  }
+
+  /**
+   * 获取交易的手续费率（每字节手续费）
+   * @returns {number} - 手续费率
+   */
+  getFeeRate() {
+    return Number(this.fee) / this.getSize();
+  }
+
+  /**
+   * 计算交易的哈希值，即签名的消息和交易ID
+   * 按规范化格式序列化，与字段的插入顺序无关
    * @returns {string} - 交易的哈希值
    */
   calculateHash() {
-    // 不包含签名的交易数据
+    // 不包含ID和签名的交易数据，金额以十进制字符串参与哈希
     const transactionData = {
-      id: this.id,
       fromAddress: this.fromAddress,
       toAddress: this.toAddress,
-      amount: this.amount,
+      amount: this.amount.toString(),
+      fee: this.fee.toString(),
+      nonce: this.nonce,
       timestamp: this.timestamp,
-      type: this.type
+      type: this.type,
+      publicKey: this.publicKey
     };
     
     return calculateHash(transactionData);
   }
 
+  /**
+   * 交易内容修改后重新计算交易ID
+   * 交易ID由内容决定，不同的交易不会使用相同的ID，其他人也无法用自己的交易冒用待处理交易的ID
+   */
+  updateId() {
+    this.id = this.calculateHash();
+  }
+
   /**
    * 使用发送方的私钥对交易进行签名
    * @param {string} signingKey - 发送方的私钥
    */
   signTransaction(signingKey) {
     // 挖矿奖励交易不需要签名
-    if (this.type === 'reward') {
+    if (this.isSystemTransaction()) {
       return;
     }
     
@@ -60,20 +115,29 @@ export class Transaction {
       throw new Error('这笔交易已经被签名了');
     }
     
-    // 计算交易哈希并使用私钥签名
-    const transactionHash = this.calculateHash();
-    this.signature = sign(transactionHash, signingKey);
+    // 私钥对应的地址必须与发送方地址一致
+    const { publicKey, address } = deriveFromPrivateKey(signingKey);
+    if (address !== this.fromAddress) {
+      throw new Error('不能为其他钱包的交易签名');
+    }
+    
+    // 公钥参与哈希计算，因此要在签名前写入，交易ID随之更新
+    this.publicKey = publicKey;
+    this.updateId();
+    
+    // 使用私钥对交易哈希签名
+    this.signature = sign(this.id, signingKey);
   }
 
   /**
    * 验证交易签名是否有效
-   * @param {string} publicKey - 发送方的公钥
+   * @param {string} publicKey - 发送方的公钥（默认使用交易携带的公钥）
    * @returns {boolean} - 签名是否有效
    */
-  isValid(publicKey) {
-    // 挖矿奖励交易不需要验证签名
-    if (this.type === 'reward') {
-      return true;
+  isValid(publicKey = this.publicKey) {
+    // 系统交易不需要验证签名，但不能从任何账户扣款
+    if (this.isSystemTransaction()) {
+      return !this.fromAddress && this.id === this.calculateHash();
     }
     
     // 检查是否有发送方地址
@@ -86,13 +150,27 @@ export class Transaction {
       throw new Error('没有找到交易签名');
     }
     
+    // 检查是否有公钥
+    if (!publicKey) {
+      throw new Error('没有找到发送方公钥');
+    }
+    
+    // 公钥必须能推导出发送方地址，否则任何人都可以用自己的密钥冒充发送方
+    if (publicKey !== this.publicKey || generateAddress(publicKey) !== this.fromAddress) {
+      return false;
+    }
+    
+    // 交易ID必须是交易内容的哈希
+    if (this.id !== this.calculateHash()) {
+      return false;
+    }
+    
     // 验证签名
-    const transactionHash = this.calculateHash();
-    return verifySignature(transactionHash, this.signature, publicKey);
+    return verifySignature(this.id, this.signature, publicKey);
   }
 
   /**
-   * 将交易转换为JSON格式
+   * 将交易转换为JSON格式，金额和手续费编码为基本单位的十进制字符串
    * @returns {Object} - JSON格式的交易数据
    */
   toJSON() {
@@ -100,9 +178,12 @@ export class Transaction {
       id: this.id,
       fromAddress: this.fromAddress,
       toAddress: this.toAddress,
-      amount: this.amount,
+      amount: this.amount.toString(),
+      fee: this.fee.toString(),
+      nonce: this.nonce,
       timestamp: this.timestamp,
       type: this.type,
+      publicKey: this.publicKey,
       signature: this.signature
     };
   }
@@ -110,17 +191,22 @@ export class Transaction {
   /**
    * 从JSON数据创建交易对象
    * @param {Object} data - JSON格式的交易数据
+   * @param {number} decimals - 链的小数位数，用于换算旧格式的金额，默认 8 位
    * @returns {Transaction} - 创建的交易对象
    */
-  static fromJSON(data) {
+  static fromJSON(data, decimals) {
+    // 旧格式的金额是以代币为单位的数字，转换为基本单位
     const transaction = new Transaction(
       data.fromAddress,
       data.toAddress,
-      data.amount,
-      data.type
+      amountFromJSON(data.amount, decimals),
+      data.type,
+      data.nonce || 0,
+      amountFromJSON(data.fee || '0', decimals)
     );
     transaction.id = data.id;
     transaction.timestamp = data.timestamp;
+    transaction.publicKey = data.publicKey || null;
     transaction.signature = data.signature;
     return transaction;
   }
@@ -1,9 +1,14 @@
 /**
  * 查询区块链状态命令行工具
  * 用于查询区块链的各种信息，如区块、交易、账户余额等
+ * 使用 verify-proof 子命令可以离线验证保存的交易证明：
+ *   node src/cli/query-blockchain.js verify-proof <证明文件>
  */
 import axios from 'axios';
 import readline from 'readline';
+import fs from 'fs';
+import { Block } from '../blockchain/block.js';
+import { formatAmount } from '../utils/amount.js';
 
 // 创建命令行交互界面
 const rl = readline.createInterface({
@@ -27,6 +32,17 @@ function askQuestion(question) {
   });
 }
 
+/**
+ * 获取节点的代币名称和小数位数，区块和交易中的金额是基本单位，显示前需要换算
+ * @param {string} nodeUrl - 节点URL
+ * @returns {Promise<Object>} - { denomination, decimals }
+ */
+async function getCurrency(nodeUrl) {
+  const response = await axios.get(`${nodeUrl}/node/info`);
+  const { denomination, decimals } = response.data;
+  return { denomination, decimals };
+}
+
 /**
  * 显示主菜单
  */
@@ -37,9 +53,12 @@ async function showMainMenu() {
   console.log('3. 查询账户余额');
   console.log('4. 查询交易历史');
   console.log('5. 查看节点信息');
+  console.log('6. 查询交易证明');
+  console.log('7. 查看交易池');
+  console.log('8. 查询交易状态');
   console.log('0. 退出');
   
-  const choice = await askQuestion('\n请选择操作 (0-5): ');
+  const choice = await askQuestion('\n请选择操作 (0-8): ');
   return choice;
 }
 
@@ -54,7 +73,8 @@ async function getBlockchainOverview(nodeUrl) {
     
     console.log('\n=== 区块链概况 ===');
     console.log(`区块数量: ${data.chain.length}`);
-    console.log(`当前难度: ${data.difficulty}`);
+    console.log(`当前难度: ${data.difficulty}（目标值 0x${data.bits.toString(16)}）`);
+    console.log(`累计工作量: ${data.chainWork}`);
     console.log(`待处理交易: ${data.pendingTransactions.length}`);
     console.log(`是否正在挖矿: ${data.isMining ? '是' : '否'}`);
     
@@ -92,9 +112,11 @@ async function getBlockDetails(nodeUrl) {
     console.log(`哈希: ${block.hash}`);
     console.log(`前一区块哈希: ${block.previousHash}`);
     console.log(`时间戳: ${new Date(block.timestamp).toLocaleString()}`);
-    console.log(`难度: ${block.difficulty}`);
+    console.log(`难度: ${block.difficulty}（目标值 0x${block.bits.toString(16)}）`);
     console.log(`随机数: ${block.nonce}`);
     console.log(`默克尔根: ${block.merkleRoot}`);
+    console.log(`区块工作量: ${block.work}`);
+    console.log(`累计工作量: ${block.chainWork}`);
     
     console.log(`\n交易数量: ${block.transactions.length}`);
     
@@ -102,6 +124,8 @@ async function getBlockDetails(nodeUrl) {
       const showTransactions = await askQuestion('是否显示交易详情? (y/n): ');
       
       if (showTransactions.toLowerCase() === 'y') {
+        const { denomination, decimals } = await getCurrency(nodeUrl);
+        
         console.log('\n交易列表:');
         block.transactions.forEach((tx, index) => {
           console.log(`\n交易 #${index + 1}:`);
@@ -109,7 +133,8 @@ async function getBlockDetails(nodeUrl) {
           console.log(`类型: ${tx.type}`);
           console.log(`发送方: ${tx.fromAddress || '系统(挖矿奖励)'}`);
           console.log(`接收方: ${tx.toAddress}`);
-          console.log(`金额: ${tx.amount}`);
+          console.log(`金额: ${formatAmount(tx.amount, decimals)} ${denomination}`);
+          console.log(`手续费: ${formatAmount(tx.fee, decimals)} ${denomination}`);
           console.log(`时间戳: ${new Date(tx.timestamp).toLocaleString()}`);
         });
       }
@@ -141,7 +166,7 @@ async function getAccountBalance(nodeUrl) {
     
     console.log('\n=== 账户余额 ===');
     console.log(`地址: ${response.data.address}`);
-    console.log(`余额: ${response.data.balance}`);
+    console.log(`余额: ${response.data.balance} ${response.data.denomination}`);
     
   } catch (error) {
     handleApiError(error, nodeUrl);
@@ -161,34 +186,50 @@ async function getTransactionHistory(nodeUrl) {
       return;
     }
     
-    const response = await axios.get(`${nodeUrl}/transactions/${address}`);
-    const transactions = response.data.transactions;
+    const { denomination, decimals } = await getCurrency(nodeUrl);
     
     console.log('\n=== 交易历史 ===');
     console.log(`地址: ${address}`);
-    console.log(`交易数量: ${transactions.length}`);
     
-    if (transactions.length === 0) {
-      console.log('没有交易记录');
-      return;
-    }
-    
-    transactions.forEach((tx, index) => {
-      console.log(`\n交易 #${index + 1}:`);
-      console.log(`ID: ${tx.id}`);
-      console.log(`区块: #${tx.blockIndex} (${tx.blockHash.substring(0, 10)}...)`);
-      console.log(`类型: ${tx.type}`);
+    // 按页获取交易历史，nextCursor 为空时表示没有更多交易
+    let cursor;
+    let count = 0;
+    while (true) {
+      const response = await axios.get(`${nodeUrl}/transactions/${address}`, { params: { cursor } });
+      const { transactions, nextCursor } = response.data;
       
-      if (tx.fromAddress === address) {
-        console.log(`发送到: ${tx.toAddress}`);
-        console.log(`金额: -${tx.amount}`);
-      } else {
-        console.log(`接收自: ${tx.fromAddress || '系统(挖矿奖励)'}`);
-        console.log(`金额: +${tx.amount}`);
+      if (count === 0 && transactions.length === 0) {
+        console.log('没有交易记录');
+        return;
       }
       
-      console.log(`时间: ${new Date(tx.timestamp).toLocaleString()}`);
-    });
+      transactions.forEach((tx) => {
+        count++;
+        console.log(`\n交易 #${count}:`);
+        console.log(`ID: ${tx.id}`);
+        console.log(`区块: #${tx.blockIndex} (${tx.blockHash.substring(0, 10)}...)`);
+        console.log(`类型: ${tx.type}`);
+        
+        if (tx.fromAddress === address) {
+          console.log(`发送到: ${tx.toAddress}`);
+          console.log(`金额: -${formatAmount(tx.amount, decimals)} ${denomination}`);
+        } else {
+          console.log(`接收自: ${tx.fromAddress || '系统(挖矿奖励)'}`);
+          console.log(`金额: +${formatAmount(tx.amount, decimals)} ${denomination}`);
+        }
+        
+        console.log(`时间: ${new Date(tx.timestamp).toLocaleString()}`);
+      });
+      
+      if (!nextCursor) {
+        break;
+      }
+      const more = await askQuestion(`\n已显示 ${count} 笔交易，是否显示下一页? (y/n): `);
+      if (more.toLowerCase() !== 'y') {
+        break;
+      }
+      cursor = nextCursor;
+    }
     
   } catch (error) {
     handleApiError(error, nodeUrl);
@@ -209,6 +250,8 @@ async function getNodeInfo(nodeUrl) {
     console.log(`P2P端口: ${nodeInfo.p2pPort}`);
     console.log(`矿工地址: ${nodeInfo.minerAddress || '未设置'}`);
     console.log(`是否正在挖矿: ${nodeInfo.isMining ? '是' : '否'}`);
+    console.log(`代币: ${nodeInfo.denomination}（${nodeInfo.decimals} 位小数）`);
+    console.log(`交易池: ${nodeInfo.mempool.size} 笔交易，${nodeInfo.mempool.bytes} 字节`);
     
     console.log(`\n连接的对等节点数: ${nodeInfo.peers.length}`);
     if (nodeInfo.peers.length > 0) {
@@ -223,6 +266,170 @@ async function getNodeInfo(nodeUrl) {
   }
 }
 
+/**
+ * 分页查看交易池中的交易
+ * @param {string} nodeUrl - 节点URL
+ */
+async function getMempool(nodeUrl) {
+  try {
+    const sender = await askQuestion('按发送方筛选 (留空不筛选): ');
+    const recipient = await askQuestion('按接收方筛选 (留空不筛选): ');
+    const sort = (await askQuestion('排序方式 fee/age (默认: fee): ')) || 'fee';
+    const { denomination, decimals } = await getCurrency(nodeUrl);
+    
+    let offset = 0;
+    while (true) {
+      const response = await axios.get(`${nodeUrl}/mempool`, {
+        params: { sender: sender || undefined, recipient: recipient || undefined, sort, offset }
+      });
+      const { total, limit, transactions, stats } = response.data;
+      
+      if (offset === 0) {
+        console.log('\n=== 交易池 ===');
+        console.log(`交易数: ${stats.size} / ${stats.maxTransactions}`);
+        console.log(`总字节数: ${stats.bytes} / ${stats.maxSize}`);
+        console.log(`符合条件的交易: ${total}`);
+      }
+      
+      transactions.forEach((tx, index) => {
+        console.log(`\n交易 #${offset + index + 1}:`);
+        console.log(`ID: ${tx.id}`);
+        console.log(`发送方: ${tx.fromAddress}`);
+        console.log(`接收方: ${tx.toAddress}`);
+        console.log(`金额: ${formatAmount(tx.amount, decimals)} ${denomination}`);
+        console.log(`手续费: ${formatAmount(tx.fee, decimals)} ${denomination}（${tx.size} 字节）`);
+        console.log(`序号: ${tx.nonce}`);
+        console.log(`加入时间: ${new Date(tx.addedAt).toLocaleString()}`);
+      });
+      
+      offset += transactions.length;
+      if (offset >= total || transactions.length < limit) {
+        break;
+      }
+      const more = await askQuestion(`\n已显示 ${offset} / ${total}，是否显示下一页? (y/n): `);
+      if (more.toLowerCase() !== 'y') {
+        break;
+      }
+    }
+    
+  } catch (error) {
+    handleApiError(error, nodeUrl);
+  }
+}
+
+/**
+ * 查询交易状态：已打包、等待打包或被拒绝
+ * @param {string} nodeUrl - 节点URL
+ */
+async function getTransactionStatus(nodeUrl) {
+  try {
+    const txId = await askQuestion('请输入交易ID: ');
+    
+    if (!txId) {
+      console.log('交易ID不能为空');
+      return;
+    }
+    
+    const response = await axios.get(`${nodeUrl}/mempool/${txId}`);
+    const status = response.data;
+    
+    console.log('\n=== 交易状态 ===');
+    console.log(`交易ID: ${status.id}`);
+    if (status.status === 'confirmed') {
+      console.log(`状态: 已打包，区块 #${status.blockIndex} (${status.blockHash})`);
+    } else if (status.status === 'pending') {
+      console.log('状态: 等待打包');
+      console.log(`加入时间: ${new Date(status.addedAt).toLocaleString()}`);
+    } else {
+      console.log(`状态: 已拒绝 (${status.reason})`);
+      if (status.message) {
+        console.log(`原因: ${status.message}`);
+      }
+      console.log(`时间: ${new Date(status.time).toLocaleString()}`);
+    }
+    
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      console.log('节点没有该交易的记录');
+    } else {
+      handleApiError(error, nodeUrl);
+    }
+  }
+}
+
+/**
+ * 显示交易证明的验证结果
+ * @param {Object} transactionProof - 交易证明
+ * @returns {boolean} - 证明是否有效
+ */
+function printProofVerification(transactionProof) {
+  const valid = Block.verifyTransactionProof(transactionProof);
+  
+  console.log('\n=== 交易证明 ===');
+  console.log(`交易ID: ${transactionProof.txId}`);
+  if (transactionProof.header) {
+    console.log(`区块: #${transactionProof.header.index} (${transactionProof.header.hash})`);
+    console.log(`默克尔根: ${transactionProof.header.merkleRoot}`);
+  }
+  console.log(`证明路径长度: ${Array.isArray(transactionProof.proof) ? transactionProof.proof.length : 0}`);
+  console.log(`验证结果: ${valid ? '有效，交易包含在该区块中' : '无效'}`);
+  
+  return valid;
+}
+
+/**
+ * 从节点获取交易证明并在本地验证，可以保存到文件供离线验证
+ * @param {string} nodeUrl - 节点URL
+ */
+async function getTransactionProof(nodeUrl) {
+  try {
+    const txId = await askQuestion('请输入交易ID: ');
+    
+    if (!txId) {
+      console.log('交易ID不能为空');
+      return;
+    }
+    
+    const response = await axios.get(`${nodeUrl}/tx/${txId}/proof`);
+    printProofVerification(response.data);
+    
+    const file = await askQuestion('保存证明到文件 (留空不保存): ');
+    if (file) {
+      fs.writeFileSync(file, JSON.stringify(response.data, null, 2));
+      console.log(`证明已保存到 ${file}`);
+    }
+    
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      console.log('交易不存在或尚未打包');
+    } else {
+      handleApiError(error, nodeUrl);
+    }
+  }
+}
+
+/**
+ * 离线验证保存在文件中的交易证明，不连接任何节点
+ * @param {string} file - 证明文件路径
+ */
+function verifyProofFile(file) {
+  if (!file) {
+    console.error('用法: node src/cli/query-blockchain.js verify-proof <证明文件>');
+    process.exit(1);
+  }
+  
+  let transactionProof;
+  try {
+    transactionProof = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`无法读取证明文件: ${error.message}`);
+    process.exit(1);
+  }
+  
+  const valid = printProofVerification(transactionProof);
+  process.exit(valid ? 0 : 1);
+}
+
 /**
  * 处理API错误
  * @param {Error} error - 错误对象
@@ -245,6 +452,14 @@ async function main() {
   try {
     // 获取节点URL
     const args = process.argv.slice(2);
+    
+    // 离线验证交易证明
+    if (args[0] === 'verify-proof') {
+      rl.close();
+      verifyProofFile(args[1]);
+      return;
+    }
+    
     const nodeUrl = args[0] || await askQuestion(`节点URL (默认: ${DEFAULT_NODE_URL}): `) || DEFAULT_NODE_URL;
     
     let running = true;
@@ -273,6 +488,18 @@ async function main() {
           await getNodeInfo(nodeUrl);
           break;
           
+        case '6':
+          await getTransactionProof(nodeUrl);
+          break;
+          
+        case '7':
+          await getMempool(nodeUrl);
+          break;
+          
+        case '8':
+          await getTransactionStatus(nodeUrl);
+          break;
+          
         case '0':
           console.log('退出程序');
           running = false;
@@ -4,6 +4,7 @@
  */
 import { Wallet } from '../wallet/wallet.js';
 import { Transaction } from '../blockchain/transaction.js';
+import { formatAmount, parseAmount } from '../utils/amount.js';
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
@@ -25,20 +26,22 @@ async function getTransactionInfo() {
   // 检查命令行参数
   const args = process.argv.slice(2);
   
-  let fromAddress, toAddress, amount, privateKey, nodeUrl;
+  let fromAddress, toAddress, amount, privateKey, nodeUrl, fee;
   
   // 如果提供了足够的命令行参数
   if (args.length >= 3) {
     fromAddress = args[0];
     toAddress = args[1];
-    amount = parseFloat(args[2]);
+    amount = args[2];
     privateKey = args[3]; // 可选
     nodeUrl = args[4] || DEFAULT_NODE_URL; // 可选
+    fee = args[5] || '0'; // 可选
   } else {
     // 通过交互方式获取信息
     fromAddress = await askQuestion('发送方地址: ');
     toAddress = await askQuestion('接收方地址: ');
-    amount = parseFloat(await askQuestion('发送金额: '));
+    amount = await askQuestion('发送金额: ');
+    fee = await askQuestion('手续费 (默认: 0): ') || '0';
     
     // 询问是否从文件加载钱包
     const loadFromFile = await askQuestion('是否从文件加载钱包? (y/n): ');
@@ -66,12 +69,12 @@ async function getTransactionInfo() {
     nodeUrl = await askQuestion(`节点URL (默认: ${DEFAULT_NODE_URL}): `) || DEFAULT_NODE_URL;
   }
   
-  // 验证输入
-  if (!fromAddress || !toAddress || isNaN(amount) || amount <= 0 || !privateKey) {
+  // 验证输入，金额的精度在发送前按节点的小数位数检查
+  if (!fromAddress || !toAddress || !amount || !privateKey) {
     throw new Error('无效的交易信息');
   }
   
-  return { fromAddress, toAddress, amount, privateKey, nodeUrl };
+  return { fromAddress, toAddress, amount, privateKey, nodeUrl, fee };
 }
 
 /**
@@ -79,7 +82,7 @@ async function getTransactionInfo() {
  * @param {Object} transactionInfo - 交易信息
  */
 async function sendTransaction(transactionInfo) {
-  const { fromAddress, toAddress, amount, privateKey, nodeUrl } = transactionInfo;
+  const { fromAddress, toAddress, amount, privateKey, nodeUrl, fee } = transactionInfo;
   
   try {
     // 创建钱包
@@ -90,12 +93,23 @@ async function sendTransaction(transactionInfo) {
       throw new Error('私钥与发送方地址不匹配');
     }
     
-    // 检查余额
-    const balanceResponse = await axios.get(`${nodeUrl}/balance/${fromAddress}`);
-    const balance = balanceResponse.data.balance;
+    // 按节点的小数位数把可读金额转换为基本单位，精度超出时直接报错
+    const nodeInfoResponse = await axios.get(`${nodeUrl}/node/info`);
+    const { decimals, denomination } = nodeInfoResponse.data;
+    const amountUnits = parseAmount(amount, decimals);
+    const feeUnits = parseAmount(fee, decimals);
     
-    if (balance < amount) {
-      throw new Error(`余额不足: ${balance}, 需要: ${amount}`);
+    if (amountUnits <= 0n) {
+      throw new Error('发送金额必须大于0');
+    }
+    
+    // 查询账户余额和下一个交易序号
+    const accountResponse = await axios.get(`${nodeUrl}/account/${fromAddress}`);
+    const { balance, nonce } = accountResponse.data;
+    
+    const cost = amountUnits + feeUnits;
+    if (parseAmount(balance, decimals) < cost) {
+      throw new Error(`余额不足: ${balance} ${denomination}, 需要: ${formatAmount(cost, decimals)} ${denomination}`);
     }
     
     // 发送交易请求
@@ -103,14 +117,18 @@ async function sendTransaction(transactionInfo) {
       fromAddress,
       toAddress,
       amount,
-      privateKey
+      privateKey,
+      nonce,
+      fee
     });
     
     console.log('\n交易已提交:');
     console.log(`交易ID: ${response.data.transaction.id}`);
     console.log(`发送方: ${fromAddress}`);
     console.log(`接收方: ${toAddress}`);
-    console.log(`金额: ${amount}`);
+    console.log(`金额: ${formatAmount(amountUnits, decimals)} ${denomination}`);
+    console.log(`手续费: ${formatAmount(feeUnits, decimals)} ${denomination}`);
+    console.log(`序号: ${response.data.transaction.nonce}`);
     console.log(`状态: ${response.data.message}`);
     
   } catch (error) {
@@ -152,6 +170,7 @@ async function main() {
     console.log(`发送方: ${transactionInfo.fromAddress}`);
     console.log(`接收方: ${transactionInfo.toAddress}`);
     console.log(`金额: ${transactionInfo.amount}`);
+    console.log(`手续费: ${transactionInfo.fee}`);
     console.log(`节点URL: ${transactionInfo.nodeUrl}`);
     
     const confirm = await askQuestion('\n确认发送交易? (y/n): ');
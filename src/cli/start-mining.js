@@ -133,16 +133,16 @@ async function getNewWallet() {
  * @param {Object} miningInfo - 挖矿信息
  */
 async function startMining(miningInfo) {
-  const { minerAddress, nodeUrl } = miningInfo;
+  const { minerAddress, nodeUrl, threads } = miningInfo;
   
   try {
     console.log(`\n开始挖矿，矿工地址: ${minerAddress}`);
     console.log(`连接到节点: ${nodeUrl}`);
     
     // 发送挖矿请求
-    const response = await axios.post(`${nodeUrl}/mine`, { minerAddress });
+    const response = await axios.post(`${nodeUrl}/mine`, { minerAddress, threads });
     
-    console.log(`\n${response.data.message}`);
+    console.log(`\n${response.data.message}，线程数: ${response.data.threads}`);
     console.log('挖矿已开始，按 Ctrl+C 停止');
     
     // 定期查询区块链状态
@@ -157,9 +157,13 @@ async function startMining(miningInfo) {
         console.log(`区块中交易数: ${latestBlock.transactions.length}`);
         console.log(`当前难度: ${statusResponse.data.difficulty}`);
         
+        // 查询算力
+        const statsResponse = await axios.get(`${nodeUrl}/mine/stats`);
+        console.log(`算力: ${statsResponse.data.hashRate} 次/秒，已挖出区块: ${statsResponse.data.blocksFound}`);
+        
         // 查询矿工余额
         const balanceResponse = await axios.get(`${nodeUrl}/balance/${minerAddress}`);
-        console.log(`矿工余额: ${balanceResponse.data.balance}`);
+        console.log(`矿工余额: ${balanceResponse.data.balance} ${balanceResponse.data.denomination}`);
         
       } catch (error) {
         console.error('查询区块链状态失败:', error.message);
@@ -202,9 +206,16 @@ async function main() {
     // 获取矿工地址
     const miningInfo = await getMinerAddress();
     
+    // 挖矿线程数：命令行第三个参数，或交互输入，留空时使用节点配置
+    const threadsInput = process.argv[4] || await askQuestion('挖矿线程数 (留空使用节点配置): ');
+    if (threadsInput) {
+      miningInfo.threads = parseInt(threadsInput);
+    }
+    
     // 确认信息
     console.log(`\n矿工地址: ${miningInfo.minerAddress}`);
     console.log(`节点URL: ${miningInfo.nodeUrl}`);
+    console.log(`挖矿线程数: ${miningInfo.threads || '节点配置'}`);
     
     const confirm = await askQuestion('\n确认开始挖矿? (y/n): ');
     
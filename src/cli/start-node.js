@@ -48,7 +48,11 @@ async function getNodeConfig() {
     p2pPort: 6001,
     peers: [],
     minerAddress: null,
-    dataDir: path.join(process.cwd(), 'data')
+    dataDir: path.join(process.cwd(), 'data'),
+    miningThreads: 1,
+    denomination: 'COSMOS',
+    decimals: 8,
+    storage: { backend: 'level' }
   };
   
   // 尝试从配置文件加载
@@ -87,6 +91,9 @@ async function getNodeConfig() {
   console.log(`对等节点数: ${config.peers.length}`);
   console.log(`矿工地址: ${config.minerAddress || '未设置'}`);
   console.log(`数据目录: ${config.dataDir}`);
+  console.log(`存储后端: ${config.storage.backend}`);
+  console.log(`挖矿线程数: ${config.miningThreads}`);
+  console.log(`代币: ${config.denomination}（${config.decimals} 位小数）`);
   
   const changeConfig = await askQuestion('\n是否修改配置? (y/n): ');
   
@@ -116,6 +123,16 @@ async function getNodeConfig() {
       config.dataDir = dataDir;
     }
     
+    const storageBackend = await askQuestion(`存储后端 level/memory/json (${config.storage.backend}): `);
+    if (storageBackend) {
+      config.storage = { ...config.storage, backend: storageBackend };
+    }
+    
+    const miningThreadsInput = await askQuestion(`挖矿线程数 (${config.miningThreads}): `);
+    if (miningThreadsInput) {
+      config.miningThreads = parseInt(miningThreadsInput);
+    }
+    
     // 保存配置到文件
     const saveConfig = await askQuestion('\n是否保存配置? (y/n): ');
     if (saveConfig.toLowerCase() === 'y') {
@@ -0,0 +1,213 @@
+/**
+ * 多线程挖矿模块
+ * 把工作量证明的随机数搜索放到 worker_threads 中执行，主线程保持响应 HTTP 请求和网络消息
+ */
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import os from 'os';
+
+// 工作线程脚本
+const WORKER_URL = new URL('./powWorker.js', import.meta.url);
+
+// 默认挖矿线程数
+export const DEFAULT_MINING_THREADS = 1;
+
+// 允许的最大挖矿线程数，Node 18.14 之前没有 os.availableParallelism
+export const MAX_MINING_THREADS = typeof os.availableParallelism === 'function'
+  ? os.availableParallelism()
+  : os.cpus().length;
+
+// 算力统计的采样间隔（毫秒）
+const STATS_INTERVAL = 1000;
+
+/**
+ * 矿工类
+ * 为每个区块启动一组工作线程，任一线程找到有效哈希或挖矿被取消时结束所有线程
+ */
+export class Miner extends EventEmitter {
+  /**
+   * 创建矿工
+   * @param {Object} options - 配置
+   * @param {number} options.threads - 挖矿线程数
+   */
+  constructor(options = {}) {
+    super();
+    this.setThreads(options.threads || DEFAULT_MINING_THREADS);
+    this.isRunning = false; // 是否有区块正在挖掘
+    this.hashRate = 0; // 最近一个采样周期的算力（次/秒）
+    this.totalHashes = 0; // 累计尝试次数
+    this.blocksFound = 0; // 累计找到的区块数
+    this.windowHashes = 0; // 当前采样周期内的尝试次数
+    this.windowStart = 0; // 当前采样周期的开始时间
+    this.statsTimer = null;
+  }
+
+  /**
+   * 设置挖矿线程数，从下一个区块开始生效
+   * @param {number} threads - 线程数
+   */
+  setThreads(threads) {
+    if (!Number.isInteger(threads) || threads < 1 || threads > MAX_MINING_THREADS) {
+      throw new Error(`挖矿线程数必须是 1 到 ${MAX_MINING_THREADS} 之间的整数`);
+    }
+    this.threads = threads;
+  }
+
+  /**
+   * 在工作线程中挖掘区块，找到有效哈希后把区块头字段写回区块
+   * @param {Block} block - 要挖掘的区块，默克尔根已确定
+   * @param {Object} options - 挖矿选项
+   * @param {AbortSignal} options.signal - 取消信号
+   * @returns {Promise<boolean>} - 是否找到有效哈希，被取消时返回false
+   */
+  mine(block, { signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve, reject) => {
+      const workers = [];
+      let settled = false;
+
+      const finish = (error, found) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+
+        for (const worker of workers) {
+          worker.terminate();
+        }
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        this.stopStats();
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(found);
+        }
+      };
+
+      const onAbort = () => {
+        console.log(`区块 #${block.index} 挖矿已取消`);
+        finish(null, false);
+      };
+
+      const onFound = (header) => {
+        block.timestamp = header.timestamp;
+        block.nonce = header.nonce;
+        block.extraNonce = header.extraNonce;
+        block.hash = block.calculateHash();
+
+        if (block.hash !== header.hash) {
+          finish(new Error(`工作线程返回的区块 #${block.index} 哈希与区块头不符`));
+          return;
+        }
+
+        this.blocksFound++;
+        console.log(`区块 #${block.index} 挖掘成功! 哈希: ${block.hash}, 随机数: ${block.nonce}`);
+        finish(null, true);
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      this.startStats();
+      console.log(`开始挖掘区块 #${block.index}，线程数: ${this.threads}`);
+
+      const header = {
+        index: block.index,
+        previousHash: block.previousHash,
+        timestamp: block.timestamp,
+        merkleRoot: block.merkleRoot,
+        stateRoot: block.stateRoot,
+        bits: block.bits
+      };
+
+      for (let i = 0; i < this.threads; i++) {
+        const worker = new Worker(WORKER_URL, {
+          workerData: { header, threadIndex: i, threadCount: this.threads }
+        });
+
+        worker.on('message', (message) => {
+          if (settled) {
+            return;
+          }
+          if (message.type === 'progress') {
+            this.recordHashes(message.hashes);
+          } else if (message.type === 'found') {
+            this.recordHashes(message.hashes);
+            onFound(message.header);
+          }
+        });
+        worker.on('error', (error) => finish(error));
+        // 工作线程在报告结果之前退出（例如被外部终止）时不再等待
+        worker.on('exit', (code) => {
+          finish(new Error(`区块 #${block.index} 的挖矿工作线程意外退出，退出码: ${code}`));
+        });
+
+        workers.push(worker);
+      }
+    });
+  }
+
+  /**
+   * 记录工作线程报告的尝试次数
+   * @param {number} hashes - 尝试次数
+   */
+  recordHashes(hashes) {
+    this.totalHashes += hashes;
+    this.windowHashes += hashes;
+  }
+
+  /**
+   * 开始按采样间隔计算算力，并通过 stats 事件通知
+   */
+  startStats() {
+    this.isRunning = true;
+    this.windowHashes = 0;
+    this.windowStart = Date.now();
+
+    this.statsTimer = setInterval(() => this.sampleHashRate(), STATS_INTERVAL);
+    this.statsTimer.unref();
+  }
+
+  /**
+   * 停止算力采样，不足一个采样间隔的尝试次数也计入算力
+   */
+  stopStats() {
+    clearInterval(this.statsTimer);
+    this.statsTimer = null;
+    if (this.windowHashes > 0) {
+      this.sampleHashRate();
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * 根据当前采样周期的尝试次数计算算力
+   */
+  sampleHashRate() {
+    const now = Date.now();
+    this.hashRate = Math.round((this.windowHashes * 1000) / Math.max(now - this.windowStart, 1));
+    this.windowHashes = 0;
+    this.windowStart = now;
+    this.emit('stats', this.getStats());
+  }
+
+  /**
+   * 获取挖矿统计信息
+   * @returns {Object} - { threads, isRunning, hashRate, totalHashes, blocksFound }
+   */
+  getStats() {
+    return {
+      threads: this.threads,
+      isRunning: this.isRunning,
+      hashRate: this.hashRate,
+      totalHashes: this.totalHashes,
+      blocksFound: this.blocksFound
+    };
+  }
+}
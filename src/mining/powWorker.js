@@ -0,0 +1,42 @@
+/**
+ * 挖矿工作线程
+ * 在独立线程中搜索随机数，按批次向主线程报告尝试次数，找到有效哈希后返回区块头
+ */
+import { parentPort, workerData } from 'worker_threads';
+import { Block } from '../blockchain/block.js';
+
+// 每尝试多少个随机数向主线程报告一次
+const PROGRESS_BATCH_SIZE = 10000;
+
+const { header, threadIndex, threadCount } = workerData;
+
+// 计算哈希只需要区块头，交易已经体现在默克尔根中
+const block = new Block(header.index, header.previousHash, [], header.bits, header.stateRoot);
+block.timestamp = header.timestamp;
+block.merkleRoot = header.merkleRoot;
+block.nonce = 0;
+
+// 每个线程使用模线程数余数不同的额外随机数，各线程的搜索空间互不重叠
+block.extraNonce = threadIndex;
+block.hash = block.calculateHash();
+
+// 逐个尝试随机数并计数，找到时把不足一批的尝试次数一并报告
+let hashes = 0;
+while (!block.searchNonce(1, undefined, threadCount)) {
+  hashes++;
+  if (hashes === PROGRESS_BATCH_SIZE) {
+    parentPort.postMessage({ type: 'progress', hashes });
+    hashes = 0;
+  }
+}
+
+parentPort.postMessage({
+  type: 'found',
+  hashes: hashes + 1,
+  header: {
+    timestamp: block.timestamp,
+    nonce: block.nonce,
+    extraNonce: block.extraNonce,
+    hash: block.hash
+  }
+});
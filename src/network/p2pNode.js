@@ -8,6 +8,10 @@ import mplexModule from 'libp2p-mplex';
 const { TCP } = tcpModule;
 const { Mplex } = mplexModule;
 import { EventEmitter } from 'events';
+import { BlockStatus } from '../blockchain/blockchain.js';
+import { Block } from '../blockchain/block.js';
+import { Transaction } from '../blockchain/transaction.js';
+import { Cancellation } from '../blockchain/cancellation.js';
 
 /**
  * 消息类型枚举
@@ -17,7 +21,8 @@ export const MessageType = {
   QUERY_ALL: 'QUERY_ALL', // 请求整个区块链
   RESPONSE_BLOCKCHAIN: 'RESPONSE_BLOCKCHAIN', // 响应区块链数据
   NEW_BLOCK: 'NEW_BLOCK', // 新区块通知
-  NEW_TRANSACTION: 'NEW_TRANSACTION' // 新交易通知
+  NEW_TRANSACTION: 'NEW_TRANSACTION', // 新交易通知（包括替换交易）
+  CANCEL_TRANSACTION: 'CANCEL_TRANSACTION' // 交易取消通知
 };
 
 /**
@@ -75,6 +80,10 @@ export class P2PNode extends EventEmitter {
         this.broadcastTransaction(transaction);
       });
 
+      this.blockchain.on('transactionCancelled', (cancellation) => {
+        this.broadcastCancellation(cancellation);
+      });
+
       return true;
     } catch (error) {
       console.error('初始化P2P节点失败:', error);
@@ -124,7 +133,7 @@ export class P2PNode extends EventEmitter {
           break;
           
         case MessageType.QUERY_ALL:
-          this.handleQueryAll(peerId);
+          await this.handleQueryAll(peerId);
           break;
           
         case MessageType.RESPONSE_BLOCKCHAIN:
@@ -139,6 +148,10 @@ export class P2PNode extends EventEmitter {
           this.handleNewTransaction(message.data);
           break;
           
+        case MessageType.CANCEL_TRANSACTION:
+          this.handleCancelTransaction(message.data);
+          break;
+          
         default:
           console.log(`收到未知类型消息: ${message.type}`);
       }
@@ -212,10 +225,12 @@ export class P2PNode extends EventEmitter {
    * 处理查询整个区块链的请求
    * @param {string} peerId - 请求节点ID
    */
-  handleQueryAll(peerId) {
+  async handleQueryAll(peerId) {
+    // 较早的区块只在内存中保留区块头，从存储加载完整区块
+    const chain = await this.blockchain.loadChain();
     this.sendMessage(peerId, {
       type: MessageType.RESPONSE_BLOCKCHAIN,
-      data: this.blockchain.toJSON()
+      data: chain.map(block => block.toJSON())
     });
   }
 
@@ -241,42 +256,24 @@ export class P2PNode extends EventEmitter {
       const latestReceivedBlock = receivedBlocks[receivedBlocks.length - 1];
       const latestLocalBlock = this.blockchain.getLatestBlock();
       
-      // 如果接收到的链不比本地链长，不做处理
-      if (latestReceivedBlock.index <= latestLocalBlock.index) {
-        console.log('收到的区块链不比本地链长，忽略');
+      // 对方的最新区块就是本地最新区块，不做处理
+      if (latestReceivedBlock.hash === latestLocalBlock.hash) {
+        console.log('收到的区块链与本地链相同，忽略');
         return;
       }
       
-      // 如果接收到的最新区块的前一个区块哈希与本地最新区块哈希相同，
-      // 说明只需要添加这个新区块
-      if (latestReceivedBlock.previousHash === latestLocalBlock.hash) {
-        console.log(`将新区块 #${latestReceivedBlock.index} 添加到链上`);
-        this.blockchain.chain.push(latestReceivedBlock);
-        
-        // 验证更新后的链
-        if (this.blockchain.isChainValid()) {
-          // 广播最新区块
-          this.broadcastBlock(latestReceivedBlock);
-          this.emit('blockchainUpdated', this.blockchain);
-        } else {
-          console.error('添加新区块后链无效，回滚');
-          this.blockchain.chain.pop(); // 回滚
-        }
-      } 
-      // 如果接收到的链比本地链长很多，需要替换整个链
-      else if (receivedBlocks.length > 1) {
-        console.log('收到的区块链比本地链长，替换本地链');
-        
-        // 创建一个新的区块链实例，用接收到的链替换
-        const newBlockchain = new Blockchain();
-        newBlockchain.chain = receivedBlocks;
-        
-        // 验证新链的有效性
-        if (newBlockchain.isChainValid()) {
-          this.blockchain.chain = receivedBlocks;
+      // 只收到一个区块时（对方的最新区块），交给区块树处理，父区块未知时会请求完整区块链
+      if (receivedBlocks.length === 1) {
+        this.processBlock(latestReceivedBlock);
+      }
+      // 收到完整链时，按累计工作量选择
+      else {
+        // 工作量更大且完整重放验证通过时才替换
+        if (this.blockchain.replaceChain(receivedBlocks)) {
+          console.log('收到的区块链累计工作量更大，已替换本地链');
           this.emit('blockchainUpdated', this.blockchain);
         } else {
-          console.error('收到的区块链无效，保留本地链');
+          console.log('收到的区块链无效或工作量不足，保留本地链');
         }
       }
     } catch (error) {
@@ -291,36 +288,48 @@ export class P2PNode extends EventEmitter {
   handleNewBlock(blockData) {
     try {
       const newBlock = Block.fromJSON(blockData, txData => Transaction.fromJSON(txData));
-      const latestLocalBlock = this.blockchain.getLatestBlock();
-      
-      // 如果新区块的索引比本地最新区块大1，且前一个区块哈希匹配
-      if (newBlock.index === latestLocalBlock.index + 1 && 
-          newBlock.previousHash === latestLocalBlock.hash) {
+      this.processBlock(newBlock);
+    } catch (error) {
+      console.error('处理新区块失败:', error);
+    }
+  }
+
+  /**
+   * 将收到的区块加入区块树，并根据结果广播或请求完整区块链
+   * 区块树会保留侧链，在侧链工作量超过主链时自动重组
+   * @param {Block} block - 收到的区块
+   */
+  processBlock(block) {
+    const result = this.blockchain.addBlock(block);
+    
+    switch (result.status) {
+      case BlockStatus.EXTENDED:
+      case BlockStatus.REORGANIZED:
+        console.log(`区块 #${block.index} 已加入主链`);
+        this.broadcastBlock(block);
+        this.emit('blockchainUpdated', this.blockchain);
+        break;
         
-        // 验证新区块
-        if (newBlock.isValid()) {
-          console.log(`添加新区块 #${newBlock.index} 到链上`);
-          this.blockchain.chain.push(newBlock);
-          
-          // 从待处理交易中移除已包含在新区块中的交易
-          this.removeProcessedTransactions(newBlock.transactions);
-          
-          // 广播新区块
-          this.broadcastBlock(newBlock);
-          this.emit('blockchainUpdated', this.blockchain);
-        } else {
-          console.error('收到的新区块无效');
-        }
-      } 
-      // 如果新区块的索引比本地最新区块大超过1，请求完整的区块链
-      else if (newBlock.index > latestLocalBlock.index + 1) {
-        console.log('本地区块链可能落后，请求完整区块链');
+      case BlockStatus.SIDE_BRANCH:
+        console.log(`区块 #${block.index} 已保存到侧链`);
+        this.broadcastBlock(block);
+        break;
+        
+      case BlockStatus.ORPHAN:
+        // 父区块未知，对方可能处于本地没有的分叉上
+        console.log(`区块 #${block.index} 的父区块未知，请求完整区块链`);
         this.broadcastMessage({
           type: MessageType.QUERY_ALL
         });
-      }
-    } catch (error) {
-      console.error('处理新区块失败:', error);
+        break;
+        
+      case BlockStatus.INVALID:
+        console.error(`收到的区块 #${block.index} 无效: ${result.message}`);
+        break;
+        
+      default:
+        // 已知区块，不再转发，避免广播风暴
+        break;
     }
   }
 
@@ -332,17 +341,13 @@ export class P2PNode extends EventEmitter {
     try {
       const transaction = Transaction.fromJSON(transactionData);
       
-      // 检查交易是否已经在待处理列表中
-      const isExisting = this.blockchain.pendingTransactions.some(
-        tx => tx.id === transaction.id
-      );
-      
-      if (!isExisting) {
+      // 检查交易是否已经在交易池中
+      if (!this.blockchain.mempool.has(transaction.id)) {
         console.log(`添加新交易 ${transaction.id} 到待处理列表`);
-        this.blockchain.pendingTransactions.push(transaction);
         
-        // 广播新交易
-        this.broadcastTransaction(transaction);
+        // 通过 addTransaction 在交易池中校验签名、序号和余额，
+        // 校验通过后 transactionAdded 事件会触发广播
+        this.blockchain.addTransaction(transaction);
       }
     } catch (error) {
       console.error('处理新交易失败:', error);
@@ -350,14 +355,23 @@ export class P2PNode extends EventEmitter {
   }
 
   /**
-   * 从待处理交易中移除已处理的交易
-   * @param {Array} processedTransactions - 已处理的交易
+   * 处理交易取消通知
+   * @param {Object} cancellationData - 取消请求数据
    */
-  removeProcessedTransactions(processedTransactions) {
-    const processedIds = new Set(processedTransactions.map(tx => tx.id));
-    this.blockchain.pendingTransactions = this.blockchain.pendingTransactions.filter(
-      tx => !processedIds.has(tx.id)
-    );
+  handleCancelTransaction(cancellationData) {
+    try {
+      const cancellation = Cancellation.fromJSON(cancellationData);
+      
+      // 交易已不在交易池中时说明已经处理过，不再转发
+      if (this.blockchain.mempool.has(cancellation.txId)) {
+        console.log(`取消待处理交易 ${cancellation.txId}`);
+        
+        // 校验通过后 transactionCancelled 事件会触发广播
+        this.blockchain.cancelTransaction(cancellation);
+      }
+    } catch (error) {
+      console.error('处理交易取消失败:', error);
+    }
   }
 
   /**
@@ -382,6 +396,17 @@ export class P2PNode extends EventEmitter {
     });
   }
 
+  /**
+   * 广播交易取消请求
+   * @param {Cancellation} cancellation - 取消请求
+   */
+  broadcastCancellation(cancellation) {
+    this.broadcastMessage({
+      type: MessageType.CANCEL_TRANSACTION,
+      data: cancellation.toJSON()
+    });
+  }
+
   /**
    * 关闭P2P节点
    */
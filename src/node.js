@@ -5,10 +5,15 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
 import { Blockchain } from './blockchain/blockchain.js';
-import { Transaction } from './blockchain/transaction.js';
+import { Cancellation } from './blockchain/cancellation.js';
+import { MempoolSort } from './blockchain/mempool.js';
 import { BlockchainStorage } from './storage/blockchainStorage.js';
+import { StorageBackend } from './storage/storageBackend.js';
 import { P2PNode } from './network/p2pNode.js';
 import { Wallet } from './wallet/wallet.js';
+import { bitsToDifficulty } from './utils/target.js';
+import { Miner } from './mining/miner.js';
+import { DEFAULT_DECIMALS, DEFAULT_DENOMINATION, formatAmount, parseAmount } from './utils/amount.js';
 import path from 'path';
 import fs from 'fs';
 
@@ -17,6 +22,17 @@ const DEFAULT_HTTP_PORT = 3000;
 const DEFAULT_P2P_PORT = 6001;
 const DEFAULT_PEERS = [];
 
+// 交易池查询的分页参数
+const DEFAULT_MEMPOOL_PAGE_SIZE = 20;
+const MAX_MEMPOOL_PAGE_SIZE = 100;
+
+// 账户交易历史查询的分页参数
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+// 主链末端在内存中保留完整区块的默认数量，更早的区块只保留区块头
+const DEFAULT_RECENT_BLOCKS = 100;
+
 /**
  * 区块链节点类
  * 管理区块链的运行和对外接口
@@ -32,6 +48,17 @@ class Node {
     this.peers = options.peers || DEFAULT_PEERS;
     this.minerAddress = options.minerAddress || null;
     this.dataDir = options.dataDir || './data';
+    this.maxBlockTransactions = options.maxBlockTransactions || null; // 每个区块最多包含的交易数
+    this.maxBlockSize = options.maxBlockSize || null; // 每个区块中交易的最大总字节数
+    this.maxMempoolTransactions = options.maxMempoolTransactions || null; // 交易池最多容纳的交易数
+    this.maxMempoolSize = options.maxMempoolSize || null; // 交易池中交易的最大总字节数
+    this.mempoolExpiry = options.mempoolExpiry || null; // 交易在交易池中的过期时间（毫秒）
+    this.miner = new Miner({ threads: options.miningThreads }); // 在工作线程中执行工作量证明
+    this.denomination = options.denomination || DEFAULT_DENOMINATION; // 代币名称
+    this.decimals = options.decimals !== undefined ? options.decimals : DEFAULT_DECIMALS; // 可读金额的小数位数，只在新建链时生效，之后以链为准
+    this.recentBlocks = options.recentBlocks || DEFAULT_RECENT_BLOCKS; // 内存中保留完整区块的数量，也是能处理的最大链重组深度
+    this.blockCacheSize = options.blockCacheSize || null; // 按需加载的区块最多缓存的数量
+    this.storageBackend = (options.storage && options.storage.backend) || StorageBackend.LEVEL; // 存储后端
     
     // 确保数据目录存在
     if (!fs.existsSync(this.dataDir)) {
@@ -39,12 +66,18 @@ class Node {
     }
     
     // 初始化组件
-    this.storage = new BlockchainStorage(path.join(this.dataDir, 'blockchain'));
+    // JSON 后端把所有数据保存在一个文件中，内存后端不写入磁盘
+    const storagePath = this.storageBackend === StorageBackend.JSON
+      ? path.join(this.dataDir, 'blockchain.json')
+      : path.join(this.dataDir, 'blockchain');
+    this.storage = new BlockchainStorage(storagePath, { backend: this.storageBackend });
     this.blockchain = null;
     this.p2pNode = null;
     this.app = express();
-    this.miningInterval = null;
+    this.miningLoop = null; // 正在运行的挖矿循环
+    this.miningController = null; // 用于取消当前区块挖矿
     this.isMining = false;
+    this.lastReorg = null; // 最近一次链重组信息
   }
 
   /**
@@ -53,15 +86,55 @@ class Node {
   async init() {
     try {
       // 加载或创建区块链
-      this.blockchain = await this.storage.loadBlockchain();
+      this.blockchain = await this.storage.loadBlockchain({
+        recentBlocks: this.recentBlocks,
+        cacheSize: this.blockCacheSize,
+        decimals: this.decimals
+      });
+      
+      // 小数位数是链参数，修改配置不会改变已有链上金额的含义
+      if (this.blockchain.decimals !== this.decimals) {
+        console.log(`配置的小数位数 ${this.decimals} 与链的小数位数 ${this.blockchain.decimals} 不一致，使用链的小数位数`);
+        this.decimals = this.blockchain.decimals;
+      }
+      
+      // 应用区块容量配置
+      if (this.maxBlockTransactions) {
+        this.blockchain.maxBlockTransactions = this.maxBlockTransactions;
+      }
+      if (this.maxBlockSize) {
+        this.blockchain.maxBlockSize = this.maxBlockSize;
+      }
+      
+      // 应用交易池配置，超出新容量的交易按挤出规则移除
+      if (this.maxMempoolTransactions) {
+        this.blockchain.mempool.maxTransactions = this.maxMempoolTransactions;
+      }
+      if (this.maxMempoolSize) {
+        this.blockchain.mempool.maxSize = this.maxMempoolSize;
+      }
+      if (this.mempoolExpiry) {
+        this.blockchain.mempool.expiryTime = this.mempoolExpiry;
+      }
+      this.blockchain.mempool.revalidate(this.blockchain.accountState);
       
       // 暂时禁用 P2P 网络功能，以便区块链的其他核心功能能够正常工作
       console.log('注意: P2P 网络功能已禁用，仅支持单节点模式');
       this.p2pNode = null;
       
-      // 设置区块链事件监听
-      this.blockchain.on('blockchainUpdated', async () => {
-        await this.storage.saveBlockchain(this.blockchain);
+      // 设置区块链事件监听：主链延长或切换后增量保存主链的变化
+      this.blockchain.on('blockMined', () => this.syncChain());
+      this.blockchain.on('tipChanged', () => this.syncChain());
+      
+      // 记录链重组信息，断开和新连接的区块由 tipChanged 事件保存
+      this.blockchain.on('reorg', ({ oldTip, newTip, forkHeight }) => {
+        console.log(`链重组: #${oldTip.index} -> #${newTip.index}，分叉高度 ${forkHeight}`);
+        this.lastReorg = {
+          oldTip: oldTip.hash,
+          newTip: newTip.hash,
+          forkHeight,
+          timestamp: Date.now()
+        };
       });
       
       // 设置API路由
@@ -82,43 +155,168 @@ class Node {
     this.app.use(express.json());
     
     // 获取区块链信息
-    this.app.get('/blockchain', (req, res) => {
-      res.json({
-        chain: this.blockchain.toJSON(),
-        difficulty: this.blockchain.difficulty,
-        pendingTransactions: this.blockchain.pendingTransactions.map(tx => tx.toJSON()),
-        isMining: this.isMining
-      });
+    this.app.get('/blockchain', async (req, res) => {
+      try {
+        // 较早的区块只在内存中保留区块头，从存储加载完整区块
+        const chain = await this.blockchain.loadChain();
+        res.json({
+          chain: chain.map(block => block.toJSON()),
+          difficulty: this.blockchain.difficulty,
+          bits: this.blockchain.bits,
+          chainWork: this.blockchain.getChainWork().toString(),
+          pendingTransactions: this.blockchain.pendingTransactions.map(tx => tx.toJSON()),
+          isMining: this.isMining
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
     
     // 获取特定区块
-    this.app.get('/block/:index', (req, res) => {
+    this.app.get('/block/:index', async (req, res) => {
       const index = parseInt(req.params.index);
-      if (index < 0 || index >= this.blockchain.chain.length) {
+      if (isNaN(index) || index < 0 || index >= this.blockchain.chain.length) {
         return res.status(404).json({ error: '区块不存在' });
       }
       
-      res.json(this.blockchain.chain[index].toJSON());
+      try {
+        // 工作量为 BigInt，以十进制字符串返回
+        const block = await this.blockchain.getBlock(index);
+        res.json({
+          ...block.toJSON(),
+          difficulty: bitsToDifficulty(block.bits),
+          work: block.getWork().toString(),
+          chainWork: this.blockchain.getChainWork(this.blockchain.chain, index).toString()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // 通过区块哈希获取主链上的区块
+    this.app.get('/block/hash/:hash', async (req, res) => {
+      try {
+        // 存储可能还没有写入最近一次链重组，只返回仍在主链上的区块
+        const block = await this.storage.loadBlockByHash(req.params.hash);
+        if (!block || !this.blockchain.isOnMainChain(block)) {
+          return res.status(404).json({ error: '区块不存在' });
+        }
+        
+        res.json({
+          ...block.toJSON(),
+          difficulty: bitsToDifficulty(block.bits),
+          work: block.getWork().toString(),
+          chainWork: this.blockchain.getChainWork(this.blockchain.chain, block.index).toString()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // 获取区块树中所有分支的最新区块
+    this.app.get('/chain/tips', (req, res) => {
+      res.json({
+        tips: this.blockchain.getTips().map(tip => ({
+          ...tip,
+          chainWork: tip.chainWork.toString()
+        })),
+        lastReorg: this.lastReorg
+      });
     });
     
-    // 获取账户余额
+    // 获取账户余额，以可读金额返回
     this.app.get('/balance/:address', (req, res) => {
       const { address } = req.params;
       const balance = this.blockchain.getBalanceOfAddress(address);
-      res.json({ address, balance });
+      res.json({
+        address,
+        balance: formatAmount(balance, this.decimals),
+        denomination: this.denomination
+      });
+    });
+    
+    // 获取账户状态（余额和下一个交易序号）
+    this.app.get('/account/:address', (req, res) => {
+      const { address } = req.params;
+      res.json({
+        address,
+        balance: formatAmount(this.blockchain.getBalanceOfAddress(address), this.decimals),
+        denomination: this.denomination,
+        nonce: this.blockchain.getNextNonce(address)
+      });
     });
     
-    // 获取账户交易历史
-    this.app.get('/transactions/:address', (req, res) => {
+    // 按时间顺序分页获取账户交易历史，cursor 为上一页返回的 nextCursor
+    this.app.get('/transactions/:address', async (req, res) => {
       const { address } = req.params;
-      const transactions = this.blockchain.getTransactionsForAddress(address);
-      res.json({ address, transactions });
+      const cursor = req.query.cursor || null;
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_HISTORY_PAGE_SIZE;
+      
+      if (cursor && !/^\d+:\d+$/.test(cursor)) {
+        return res.status(400).json({ error: 'cursor 格式无效' });
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+        return res.status(400).json({ error: `limit 必须是 1 到 ${MAX_HISTORY_PAGE_SIZE} 之间的整数` });
+      }
+      
+      try {
+        const { entries, nextCursor } = await this.storage.getAddressHistory(address, {
+          cursor,
+          limit,
+          blockchain: this.blockchain
+        });
+        res.json({
+          address,
+          transactions: entries.map(({ transaction, block }) => ({
+            ...transaction.toJSON(),
+            blockIndex: block.index,
+            blockHash: block.hash
+          })),
+          nextCursor
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // 通过交易ID获取已打包的交易
+    this.app.get('/tx/:id', async (req, res) => {
+      try {
+        const found = await this.locateTransaction(req.params.id);
+        if (!found) {
+          return res.status(404).json({ error: '交易不存在或尚未打包' });
+        }
+        
+        res.json({
+          ...found.transaction.toJSON(),
+          blockIndex: found.block.index,
+          blockHash: found.block.hash,
+          position: found.position,
+          confirmations: this.blockchain.chain.length - found.block.index
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // 获取交易的默克尔包含证明
+    this.app.get('/tx/:id/proof', async (req, res) => {
+      try {
+        const found = await this.locateTransaction(req.params.id);
+        if (!found) {
+          return res.status(404).json({ error: '交易不存在或尚未打包' });
+        }
+        
+        res.json(found.block.getTransactionProof(req.params.id));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
     
     // 创建新交易
     this.app.post('/transaction', (req, res) => {
       try {
-        const { fromAddress, toAddress, amount, privateKey } = req.body;
+        const { fromAddress, toAddress, amount, privateKey, nonce, fee } = req.body;
         
         if (!fromAddress || !toAddress || !amount || !privateKey) {
           return res.status(400).json({ error: '缺少必要参数' });
@@ -130,7 +328,16 @@ class Node {
           return res.status(400).json({ error: '私钥与发送地址不匹配' });
         }
         
-        const transaction = wallet.createTransaction(toAddress, parseFloat(amount));
+        // 未指定序号时使用账户下一个期望的序号
+        const txNonce = nonce !== undefined ? parseInt(nonce) : this.blockchain.getNextNonce(fromAddress);
+        
+        // 可读金额转换为基本单位，小数位数超过精度时拒绝
+        const transaction = wallet.createTransaction(
+          toAddress,
+          parseAmount(amount, this.decimals),
+          txNonce,
+          fee !== undefined ? parseAmount(fee, this.decimals) : 0n
+        );
         this.blockchain.addTransaction(transaction);
         
         res.status(201).json({
@@ -142,9 +349,91 @@ class Node {
       }
     });
     
+    // 取消待处理交易，请求体是发送方签名的取消请求
+    this.app.delete('/transaction/:id', (req, res) => {
+      const { fromAddress, timestamp, publicKey, signature } = req.body;
+      
+      if (!fromAddress || !timestamp || !publicKey || !signature) {
+        return res.status(400).json({ error: '缺少必要参数' });
+      }
+      
+      if (!this.blockchain.mempool.has(req.params.id)) {
+        return res.status(404).json({ error: '交易不在待处理列表中' });
+      }
+      
+      try {
+        const cancellation = Cancellation.fromJSON({
+          txId: req.params.id,
+          fromAddress,
+          timestamp,
+          publicKey,
+          signature
+        });
+        const transaction = this.blockchain.cancelTransaction(cancellation);
+        
+        res.json({
+          message: '交易已取消',
+          transaction: transaction.toJSON()
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
+    // 查询交易池，支持按发送方、接收方筛选，按手续费率或加入时间排序并分页
+    this.app.get('/mempool', (req, res) => {
+      const { sender, recipient } = req.query;
+      const sort = req.query.sort || MempoolSort.FEE;
+      const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_MEMPOOL_PAGE_SIZE;
+      
+      if (!Object.values(MempoolSort).includes(sort)) {
+        return res.status(400).json({ error: '排序方式必须是 fee 或 age' });
+      }
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'offset 必须是非负整数' });
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MEMPOOL_PAGE_SIZE) {
+        return res.status(400).json({ error: `limit 必须是 1 到 ${MAX_MEMPOOL_PAGE_SIZE} 之间的整数` });
+      }
+      
+      const { total, entries } = this.blockchain.mempool.query({ sender, recipient, sort, offset, limit });
+      res.json({
+        total,
+        offset,
+        limit,
+        sort,
+        transactions: entries.map(({ transaction, addedAt, size, feeRate }) => ({
+          ...transaction.toJSON(),
+          size,
+          feeRate,
+          addedAt
+        })),
+        stats: this.blockchain.mempool.getStats()
+      });
+    });
+    
+    // 查询交易状态
+    this.app.get('/mempool/:id', async (req, res) => {
+      try {
+        const status = await this.blockchain.getTransactionStatus(req.params.id);
+        if (!status) {
+          return res.status(404).json({ error: '没有该交易的记录' });
+        }
+        
+        const response = { id: req.params.id, ...status };
+        if (status.status === 'pending') {
+          response.transaction = this.blockchain.mempool.get(req.params.id).toJSON();
+        }
+        res.json(response);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
     // 开始挖矿
     this.app.post('/mine', (req, res) => {
-      const { minerAddress } = req.body;
+      const { minerAddress, threads } = req.body;
       
       if (!minerAddress) {
         return res.status(400).json({ error: '缺少矿工地址' });
@@ -154,16 +443,34 @@ class Node {
         return res.status(400).json({ error: '已经在挖矿中' });
       }
       
+      // 设置挖矿线程数（可选）
+      if (threads !== undefined) {
+        try {
+          this.miner.setThreads(threads);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+      
       // 设置矿工地址并开始挖矿
       this.minerAddress = minerAddress;
       this.startMining();
       
-      res.json({ message: '挖矿已开始', minerAddress });
+      res.json({ message: '挖矿已开始', minerAddress, threads: this.miner.threads });
+    });
+    
+    // 获取挖矿算力统计
+    this.app.get('/mine/stats', (req, res) => {
+      res.json({
+        isMining: this.isMining,
+        minerAddress: this.minerAddress,
+        ...this.miner.getStats()
+      });
     });
     
     // 停止挖矿
-    this.app.post('/mine/stop', (req, res) => {
-      this.stopMining();
+    this.app.post('/mine/stop', async (req, res) => {
+      await this.stopMining();
       res.json({ message: '挖矿已停止' });
     });
     
@@ -174,7 +481,10 @@ class Node {
         p2pPort: this.p2pPort,
         peers: [],  // 单节点模式下没有对等节点
         minerAddress: this.minerAddress,
-        isMining: this.isMining
+        isMining: this.isMining,
+        denomination: this.denomination,
+        decimals: this.decimals,
+        mempool: this.blockchain.mempool.getStats()
       });
     });
     
@@ -194,6 +504,37 @@ class Node {
     });
   }
 
+  /**
+   * 在主链中查找已打包的交易
+   * 先查找区块链，区块链没有设置区块存储（没有按需加载）时再通过存储的交易索引查找
+   * @param {string} txId - 交易ID
+   * @returns {Promise<Object|null>} - { block, transaction, position }，交易不在主链中时返回null
+   */
+  async locateTransaction(txId) {
+    const found = await this.blockchain.locateTransaction(txId);
+    if (found || this.blockchain.blockStore) {
+      return found;
+    }
+
+    // 存储可能还没有写入最近一次链重组，只接受仍在主链上的区块
+    const stored = await this.storage.loadTransaction(txId);
+    return stored && this.blockchain.isOnMainChain(stored.block) ? stored : null;
+  }
+
+  /**
+   * 将主链的变化增量保存到数据库
+   * 由区块链事件触发，保存失败只记录错误，下一次主链变化时会连同本次的变化一起写入；
+   * 保存成功之前新连接的区块在内存中保留完整区块，不会因超出最近区块范围而只保留区块头
+   * @returns {Promise} - 保存操作的Promise
+   */
+  async syncChain() {
+    try {
+      await this.storage.syncChain(this.blockchain);
+    } catch (error) {
+      console.error('保存主链变化失败:', error);
+    }
+  }
+
   /**
    * 启动节点
    */
@@ -228,37 +569,60 @@ class Node {
     this.isMining = true;
     console.log(`开始挖矿，矿工地址: ${this.minerAddress}`);
     
-    // 设置挖矿间隔
-    this.miningInterval = setInterval(async () => {
-      // 如果没有待处理交易，添加一个空交易
-      if (this.blockchain.pendingTransactions.length === 0) {
-        const emptyTx = new Transaction(null, this.minerAddress, 0, 'empty');
-        this.blockchain.pendingTransactions.push(emptyTx);
+    this.miningLoop = this.runMiningLoop();
+  }
+
+  /**
+   * 持续挖矿直到停止
+   * 哈希计算在工作线程中进行，主线程继续处理 HTTP 请求和网络消息；
+   * 每个区块都会挖到满足目标值为止，收到其他节点的区块导致最新区块变化时基于新的最新区块重新开始
+   */
+  async runMiningLoop() {
+    while (this.isMining) {
+      // 挖掘新区块，没有待处理交易时区块只包含挖矿奖励交易
+      this.miningController = new AbortController();
+      let newBlock;
+      try {
+        newBlock = await this.blockchain.mineNextBlock(this.minerAddress, {
+          signal: this.miningController.signal,
+          miner: this.miner
+        });
+      } catch (error) {
+        console.error('挖矿失败:', error);
+        this.isMining = false;
+        break;
+      } finally {
+        this.miningController = null;
       }
       
-      // 挖掘新区块
-      const newBlock = this.blockchain.minePendingTransactions(this.minerAddress);
-      
-      // 调整难度
-      this.blockchain.adjustDifficulty();
+      if (!newBlock) {
+        continue;
+      }
       
-      // 保存区块链
-      await this.storage.saveBlockchain(this.blockchain);
+      // 难度由链历史决定，到达调整高度时输出新难度
+      if (this.blockchain.bits !== newBlock.bits) {
+        console.log(`难度调整为 ${this.blockchain.difficulty}`);
+      }
       
       console.log(`新区块已挖出: #${newBlock.index}, 哈希: ${newBlock.hash}`);
-    }, 5000); // 每5秒尝试挖掘一个新区块
+    }
   }
 
   /**
    * 停止挖矿
    */
-  stopMining() {
+  async stopMining() {
     if (!this.isMining) {
       return;
     }
     
-    clearInterval(this.miningInterval);
     this.isMining = false;
+    if (this.miningController) {
+      this.miningController.abort();
+    }
+    
+    // 等待当前区块的挖矿结束，避免与关闭数据库等操作交错
+    await this.miningLoop;
     console.log('挖矿已停止');
   }
 
@@ -268,7 +632,7 @@ class Node {
   async stop() {
     try {
       // 停止挖矿
-      this.stopMining();
+      await this.stopMining();
       
       // 保存区块链
       await this.storage.saveBlockchain(this.blockchain);
@@ -294,7 +658,11 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
     p2pPort: parseInt(process.env.P2P_PORT) || DEFAULT_P2P_PORT,
     peers: process.env.PEERS ? process.env.PEERS.split(',') : DEFAULT_PEERS,
     minerAddress: process.env.MINER_ADDRESS || null,
-    dataDir: process.env.DATA_DIR || './data'
+    miningThreads: parseInt(process.env.MINING_THREADS) || undefined,
+    denomination: process.env.DENOMINATION || undefined,
+    decimals: process.env.DECIMALS !== undefined ? parseInt(process.env.DECIMALS) : undefined,
+    dataDir: process.env.DATA_DIR || './data',
+    storage: { backend: process.env.STORAGE_BACKEND || undefined }
   };
   
   const node = new Node(options);
@@ -2,57 +2,299 @@
  * 区块链存储模块
  * 负责区块链数据的持久化存储和读取
  */
-import { Level } from 'level';
 import path from 'path';
 import fs from 'fs';
 import { Blockchain } from '../blockchain/blockchain.js';
 import { Block } from '../blockchain/block.js';
 import { Transaction } from '../blockchain/transaction.js';
+import { AccountState } from '../blockchain/accountState.js';
+import { DEFAULT_DECIMALS, amountFromJSON } from '../utils/amount.js';
+import { StorageBackend, createStore } from './storageBackend.js';
+
+// 二级索引的版本：包含下面的区块头、区块哈希、交易ID和地址交易历史索引
+// 元数据中记录的版本不一致时（例如没有索引的旧版本数据）加载时重建索引
+const INDEX_VERSION = 1;
+
+// 二级索引的键前缀
+const HEADER_INDEX_PREFIX = 'header:'; // header:<区块高度> -> 区块头，按需加载时启动只读取区块头
+const HASH_INDEX_PREFIX = 'hash:'; // hash:<区块哈希> -> 区块高度
+const TX_INDEX_PREFIX = 'tx:'; // tx:<交易ID> -> { height, position }
+const ADDRESS_INDEX_PREFIX = 'addr:'; // addr:<地址>:<高度>:<位置> -> 交易ID，高度和位置补0使键按时间顺序排列
+
+// 主链末端的账户状态：每个账户一个键，主链变化时只写入受影响的账户
+const ACCOUNT_PREFIX = 'account:'; // account:<地址> -> { balance, nonce }
+const ACCOUNT_STATE_TIP_KEY = 'accountStateTip'; // 账户状态对应的最新区块哈希
+
+// 地址索引键中高度和位置的位数
+const HEIGHT_DIGITS = 10;
+const POSITION_DIGITS = 6;
+
+// 地址交易历史默认每页返回的交易数
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+
+/**
+ * 生成地址索引的键
+ * @param {string} address - 地址
+ * @param {number} height - 区块高度
+ * @param {number} position - 交易在区块中的位置
+ * @returns {string} - 索引键
+ */
+function addressIndexKey(address, height, position) {
+  return `${ADDRESS_INDEX_PREFIX}${address}:${String(height).padStart(HEIGHT_DIGITS, '0')}:${String(position).padStart(POSITION_DIGITS, '0')}`;
+}
+
+/**
+ * 生成写入或删除一个区块所有索引的批量操作
+ * @param {Block|Object} block - 区块对象或JSON格式的区块数据
+ * @param {string} type - 'put' 写入索引，'del' 删除索引
+ * @returns {Array} - 存储批量操作列表
+ */
+function indexOperations(block, type) {
+  const entries = [
+    [`${HEADER_INDEX_PREFIX}${block.index}`, type === 'put' ? block.getHeader() : null],
+    [`${HASH_INDEX_PREFIX}${block.hash}`, block.index]
+  ];
+  block.transactions.forEach((transaction, position) => {
+    entries.push([`${TX_INDEX_PREFIX}${transaction.id}`, { height: block.index, position }]);
+
+    // 转给自己的交易只记录一次
+    for (const address of new Set([transaction.fromAddress, transaction.toAddress])) {
+      if (address) {
+        entries.push([addressIndexKey(address, block.index, position), transaction.id]);
+      }
+    }
+  });
+
+  return entries.map(([key, value]) => (type === 'put' ? { type, key, value } : { type, key }));
+}
+
+/**
+ * 把交易涉及的地址加入集合
+ * @param {Set} addresses - 地址集合
+ * @param {Array} transactions - 交易对象或JSON格式的交易数据列表
+ */
+function addTransactionAddresses(addresses, transactions) {
+  for (const transaction of transactions) {
+    for (const address of [transaction.fromAddress, transaction.toAddress]) {
+      if (address) {
+        addresses.add(address);
+      }
+    }
+  }
+}
+
+/**
+ * 生成写入指定账户当前状态的批量操作，余额和序号都为0（不在账户状态中）的账户被删除
+ * @param {AccountState} accountState - 账户状态
+ * @param {Iterable} addresses - 要写入的地址
+ * @returns {Array} - 存储批量操作列表
+ */
+function accountOperations(accountState, addresses) {
+  const operations = [];
+  for (const address of addresses) {
+    const account = accountState.accounts.get(address);
+    operations.push(account
+      ? { type: 'put', key: `${ACCOUNT_PREFIX}${address}`, value: { balance: account.balance.toString(), nonce: account.nonce } }
+      : { type: 'del', key: `${ACCOUNT_PREFIX}${address}` });
+  }
+  return operations;
+}
 
 /**
  * 区块链存储类
- * 使用LevelDB存储区块链数据
+ * 通过可替换的键值存储后端（默认 LevelDB）存储区块链数据
+ * 主链区块保存在 block_<高度> 键下，metadata 记录主链长度和最新区块哈希，主链变化时只写入变化的区块
+ * 区块、元数据和账户状态的写入都通过批量操作原子提交，加载时修复不完整的链末端
+ * 同一个批量操作中维护区块头、区块哈希、交易ID和地址交易历史的二级索引，查询时不需要加载整条链
  */
 export class BlockchainStorage {
   /**
    * 创建区块链存储实例
-   * @param {string} dbPath - 数据库路径
+   * @param {string} dbPath - 数据库路径，JSON 后端为数据文件路径
+   * @param {Object} options - 存储选项
+   * @param {string} options.backend - 存储后端，见 StorageBackend，默认 LevelDB
+   * @param {Object} options.store - 已创建的存储实例，例如继续使用另一个 BlockchainStorage 的内存存储
    */
-  constructor(dbPath = './data/blockchain') {
+  constructor(dbPath = './data/blockchain', { backend = StorageBackend.LEVEL, store = null } = {}) {
     // 确保数据目录存在
-    const dir = path.dirname(dbPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    if (!store && backend !== StorageBackend.MEMORY) {
+      const dir = path.dirname(dbPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
     }
     
-    // 初始化LevelDB
-    this.db = new Level(dbPath, { valueEncoding: 'json' });
+    // 初始化存储后端
+    this.db = store || createStore(backend, dbPath);
+    this.metadata = null; // 已保存主链的元数据缓存
+    this.decimals = DEFAULT_DECIMALS; // 已保存主链的小数位数，用于换算旧版本数据中以代币为单位的金额
+    this.writeQueue = Promise.resolve(); // 写操作队列
+  }
+
+  /**
+   * 获取已保存主链的元数据，首次调用时从数据库读取并缓存
+   * 旧版元数据没有记录最新区块哈希，从最后一个区块中补齐
+   * @returns {Promise<Object|null>} - { initialBits, miningReward, chainLength, tipHash }，数据库为空时返回null
+   */
+  async getMetadata() {
+    if (!this.metadata) {
+      try {
+        const metadata = await this.db.get('metadata');
+        if (!metadata.tipHash) {
+          const tipData = await this.db.get(`block_${metadata.chainLength - 1}`);
+          metadata.tipHash = tipData.hash;
+        }
+        this.metadata = metadata;
+      } catch (error) {
+        if (error.code !== 'LEVEL_NOT_FOUND') {
+          throw error;
+        }
+      }
+    }
+    return this.metadata;
+  }
+
+  /**
+   * 将写操作加入队列依次执行，避免多个事件回调同时写入时读到过期的元数据
+   * @param {Function} task - 返回Promise的写操作
+   * @returns {Promise} - 写操作的结果
+   */
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * 找到已保存的主链与当前主链的分叉高度
+   * 从已保存的最新区块沿区块树向前回溯，第一个仍在当前主链上的区块即为分叉点
+   * @param {Blockchain} blockchain - 区块链
+   * @param {Object|null} metadata - 已保存主链的元数据
+   * @returns {number} - 分叉高度，没有共同区块时返回-1
+   */
+  findForkHeight(blockchain, metadata) {
+    if (!metadata) {
+      return -1;
+    }
+
+    // 已保存的最新区块仍在主链上时就是分叉点；旧格式的区块哈希可能重复，无法沿区块树回溯
+    const storedTip = blockchain.chain[metadata.chainLength - 1];
+    if (storedTip && storedTip.hash === metadata.tipHash) {
+      return metadata.chainLength - 1;
+    }
+
+    let entry = blockchain.blocks.get(metadata.tipHash);
+    while (entry) {
+      const { block, height } = entry;
+      if (height < blockchain.chain.length && blockchain.chain[height].hash === block.hash) {
+        return height;
+      }
+      const parent = blockchain.blocks.get(block.previousHash);
+      entry = parent && parent.height === height - 1 ? parent : null;
+    }
+    return -1;
   }
 
   /**
-   * 保存区块链
+   * 将主链的变化增量写入数据库
+   * 只写入分叉点之后新连接的区块，删除被断开且不会被覆盖的区块，连同元数据和账户状态在同一个批量操作中提交
+   * @param {Blockchain} blockchain - 区块链
+   * @returns {Promise<Object>} - { disconnected, connected } 断开和新连接的区块数
+   */
+  async syncChain(blockchain) {
+    return this.enqueue(async () => {
+      const metadata = await this.getMetadata();
+      const storedLength = metadata ? metadata.chainLength : 0;
+      const forkHeight = this.findForkHeight(blockchain, metadata);
+      const chainLength = blockchain.chain.length;
+      const tip = blockchain.getLatestBlock();
+
+      // 已保存的主链与当前主链一致，无需写入
+      if (forkHeight === chainLength - 1 && storedLength === chainLength) {
+        blockchain.setPersistedChain(chainLength, tip.hash);
+        return { disconnected: 0, connected: 0 };
+      }
+
+      // 先删除断开区块的索引，再写入新连接区块的索引，两个分支都包含的交易最终指向新的位置；
+      // 同时记录断开和连接的区块涉及的地址，只有这些账户的状态发生了变化
+      const operations = [];
+      const touched = new Set();
+      for (let i = forkHeight + 1; i < storedLength; i++) {
+        const blockData = await this.readBlockData(i);
+        if (blockData) {
+          operations.push(...indexOperations(blockData, 'del'));
+          addTransactionAddresses(touched, blockData.transactions);
+        }
+      }
+      for (let i = chainLength; i < storedLength; i++) {
+        operations.push({ type: 'del', key: `block_${i}` });
+      }
+      for (let i = forkHeight + 1; i < chainLength; i++) {
+        // 找不到分叉点时需要重写整条链，其中只有区块头的区块从存储中读取
+        const block = await blockchain.getBlock(i);
+        operations.push({ type: 'put', key: `block_${i}`, value: block.toJSON() });
+        operations.push(...indexOperations(block, 'put'));
+        addTransactionAddresses(touched, block.transactions);
+      }
+
+      // 整条链重新写入时索引也是完整的，否则沿用已保存索引的版本；分叉点之后重新写入的区块都是新格式
+      const newMetadata = {
+        initialBits: blockchain.initialBits,
+        miningReward: blockchain.miningReward.toString(),
+        chainLength,
+        tipHash: tip.hash,
+        indexVersion: forkHeight < 0 ? INDEX_VERSION : metadata.indexVersion,
+        legacyHeight: Math.min(metadata ? metadata.legacyHeight || 0 : 0, forkHeight + 1),
+        decimals: blockchain.decimals
+      };
+      operations.push({ type: 'put', key: 'metadata', value: newMetadata });
+
+      // 保存主链末端的账户状态，记录对应的最新区块以便加载时校验；
+      // 已保存的状态与已保存的链末端一致时只写入受影响的账户，否则重写所有账户
+      const stateTip = await this.readRecord(ACCOUNT_STATE_TIP_KEY);
+      if (forkHeight >= 0 && stateTip === metadata.tipHash) {
+        operations.push(...accountOperations(blockchain.accountState, touched));
+      } else {
+        operations.push(...await this.rewriteAccountsOperations(blockchain.accountState));
+      }
+      operations.push({ type: 'put', key: ACCOUNT_STATE_TIP_KEY, value: tip.hash });
+
+      try {
+        await this.db.batch(operations);
+      } catch (error) {
+        console.error('保存主链变化失败:', error);
+        throw error;
+      }
+      this.metadata = newMetadata;
+      blockchain.setPersistedChain(chainLength, tip.hash);
+
+      return {
+        disconnected: storedLength - 1 - forkHeight,
+        connected: chainLength - 1 - forkHeight
+      };
+    });
+  }
+
+  /**
+   * 保存待处理交易
+   * @param {Blockchain} blockchain - 区块链
+   * @returns {Promise} - 保存操作的Promise
+   */
+  async savePendingTransactions(blockchain) {
+    return this.enqueue(() => this.db.put('pendingTransactions',
+      blockchain.pendingTransactions.map(tx => tx.toJSON())
+    ));
+  }
+
+  /**
+   * 保存区块链：增量写入主链的变化，再保存待处理交易
    * @param {Blockchain} blockchain - 要保存的区块链
    * @returns {Promise} - 保存操作的Promise
    */
   async saveBlockchain(blockchain) {
     try {
-      // 保存区块链元数据
-      await this.db.put('metadata', {
-        difficulty: blockchain.difficulty,
-        miningReward: blockchain.miningReward,
-        chainLength: blockchain.chain.length
-      });
-      
-      // 保存每个区块
-      for (let i = 0; i < blockchain.chain.length; i++) {
-        const block = blockchain.chain[i];
-        await this.db.put(`block_${i}`, block.toJSON());
-      }
-      
-      // 保存待处理交易
-      await this.db.put('pendingTransactions', 
-        blockchain.pendingTransactions.map(tx => tx.toJSON())
-      );
+      await this.syncChain(blockchain);
+      await this.savePendingTransactions(blockchain);
       
       console.log('区块链数据保存成功');
       return true;
@@ -62,11 +304,206 @@ export class BlockchainStorage {
     }
   }
 
+  /**
+   * 加载与链末端一致的账户状态
+   * 旧版本没有保存账户状态，或保存的状态与最新区块不一致时返回null，由调用方重放整条链
+   * @param {Array} chain - 已加载的区块列表
+   * @returns {Promise<AccountState|null>} - 账户状态
+   */
+  async loadAccountState(chain) {
+    const tipHash = chain[chain.length - 1].hash;
+    const stateTip = await this.readRecord(ACCOUNT_STATE_TIP_KEY);
+    if (stateTip === tipHash) {
+      const accounts = {};
+      for await (const key of this.db.keys({ gte: ACCOUNT_PREFIX, lt: `${ACCOUNT_PREFIX}\xff` })) {
+        accounts[key.slice(ACCOUNT_PREFIX.length)] = await this.db.get(key);
+      }
+      return AccountState.fromJSON(accounts);
+    }
+
+    if (stateTip) {
+      console.log('账户状态与最新区块不一致，重新计算账户状态');
+    }
+    return null;
+  }
+
+  /**
+   * 生成删除已保存的所有账户并写入完整账户状态的批量操作
+   * @param {AccountState} accountState - 主链末端的账户状态
+   * @returns {Promise<Array>} - 存储批量操作列表
+   */
+  async rewriteAccountsOperations(accountState) {
+    const operations = [];
+    for await (const key of this.db.keys({ gte: ACCOUNT_PREFIX, lt: `${ACCOUNT_PREFIX}\xff` })) {
+      if (!accountState.accounts.has(key.slice(ACCOUNT_PREFIX.length))) {
+        operations.push({ type: 'del', key });
+      }
+    }
+    operations.push(...accountOperations(accountState, accountState.accounts.keys()));
+    return operations;
+  }
+
+  /**
+   * 读取已保存的记录
+   * @param {string} key - 键
+   * @returns {Promise<Object|null>} - 记录，缺失或数据损坏无法解析时返回null
+   */
+  async readRecord(key) {
+    try {
+      return await this.db.get(key);
+    } catch (error) {
+      if (error.code === 'LEVEL_NOT_FOUND' || error.code === 'LEVEL_DECODE_ERROR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 读取已保存的区块数据
+   * @param {number} index - 区块索引
+   * @returns {Promise<Object|null>} - 区块数据，区块缺失或数据损坏无法解析时返回null
+   */
+  async readBlockData(index) {
+    return this.readRecord(`block_${index}`);
+  }
+
+  /**
+   * 从区块数据创建区块对象，拒绝包含伪造交易（签名无效或公钥与地址不符）的区块
+   * @param {Object} blockData - JSON格式的区块数据
+   * @param {number} legacyHeight - 旧格式区块的检查点，低于该高度的区块不验证交易
+   * @returns {Block} - 区块
+   */
+  parseBlock(blockData, legacyHeight = 0) {
+    return this.checkTransactions(this.decodeBlock(blockData), legacyHeight);
+  }
+
+  /**
+   * 把已保存的区块数据转换为区块对象，不验证交易
+   * @param {Object} blockData - 区块数据
+   * @returns {Block} - 区块
+   */
+  decodeBlock(blockData) {
+    return Block.fromJSON(blockData, txData => Transaction.fromJSON(txData, this.decimals));
+  }
+
+  /**
+   * 验证已保存区块中的交易
+   * @param {Block} block - 区块
+   * @param {number} legacyHeight - 旧格式区块的检查点
+   * @returns {Block} - 交易有效的区块
+   */
+  checkTransactions(block, legacyHeight = 0) {
+    // 检查点以下的区块由旧版本保存：交易ID是随机生成的，早期的转账没有公钥，按原样接受
+    if (block.index >= legacyHeight && !block.hasValidTransactions()) {
+      throw new Error(`已保存的区块 #${block.index} 包含无效交易，拒绝加载，数据保持不变`);
+    }
+    return block;
+  }
+
+  /**
+   * 把链中只有区块头的区块替换为从数据库读取的完整区块，用于重放整条链或重建索引
+   * @param {Array} chain - 区块列表，原地替换
+   * @returns {Promise} - 加载操作的Promise
+   */
+  async loadFullBlocks(chain) {
+    for (let i = 0; i < chain.length; i++) {
+      if (chain[i].hasTransactions()) {
+        continue;
+      }
+      const blockData = await this.readBlockData(i);
+      if (!blockData || blockData.hash !== chain[i].hash) {
+        throw new Error(`区块 #${i} 缺失或与区块头不一致`);
+      }
+      chain[i] = this.parseBlock(blockData, this.metadata.legacyHeight);
+    }
+  }
+
+  /**
+   * 按需加载时把存储设置为区块链的完整区块来源
+   * @param {Blockchain} blockchain - 区块链
+   * @param {Object} options - loadBlockchain 的选项
+   * @returns {Blockchain} - 区块链
+   */
+  attachBlockStore(blockchain, { recentBlocks, cacheSize }) {
+    if (recentBlocks) {
+      blockchain.setBlockStore(this, { recentBlocks, cacheSize });
+    }
+    return blockchain;
+  }
+
+  /**
+   * 将已保存的主链截断到最后一个完整保存的区块
+   * 删除之后的区块并更新元数据，账户状态与新的最新区块不一致，加载时会重新计算；
+   * 被截断的区块可能已经损坏，无法逐个删除它们的索引，因此标记索引需要重建
+   * @param {Object} metadata - 截断前的元数据
+   * @param {Array} chain - 完整保存的区块列表
+   * @returns {Promise<Object>} - 截断后的元数据
+   */
+  async truncateChain(metadata, chain) {
+    const tip = chain[chain.length - 1];
+    const newMetadata = {
+      ...metadata,
+      chainLength: chain.length,
+      tipHash: tip.hash,
+      indexVersion: null,
+      legacyHeight: Math.min(metadata.legacyHeight || 0, chain.length)
+    };
+    const operations = [];
+    for (let i = chain.length; i < metadata.chainLength; i++) {
+      operations.push({ type: 'del', key: `block_${i}` });
+    }
+    operations.push({ type: 'put', key: 'metadata', value: newMetadata });
+
+    await this.db.batch(operations);
+    console.log(`已将保存的主链从 ${metadata.chainLength} 个区块截断到 ${chain.length} 个区块`);
+    return newMetadata;
+  }
+
+  /**
+   * 生成删除所有二级索引的批量操作
+   * @returns {Promise<Array>} - 存储批量操作列表
+   */
+  async clearIndexOperations() {
+    const operations = [];
+    for (const prefix of [HEADER_INDEX_PREFIX, HASH_INDEX_PREFIX, TX_INDEX_PREFIX, ADDRESS_INDEX_PREFIX]) {
+      for await (const key of this.db.keys({ gte: prefix, lt: `${prefix}\xff` })) {
+        operations.push({ type: 'del', key });
+      }
+    }
+    return operations;
+  }
+
+  /**
+   * 删除所有二级索引并根据主链重新建立
+   * @param {Array} chain - 主链区块列表
+   * @returns {Promise} - 重建操作的Promise
+   */
+  async rebuildIndexes(chain) {
+    const operations = await this.clearIndexOperations();
+    for (const block of chain) {
+      operations.push(...indexOperations(block, 'put'));
+    }
+
+    const newMetadata = { ...this.metadata, indexVersion: INDEX_VERSION };
+    operations.push({ type: 'put', key: 'metadata', value: newMetadata });
+    await this.db.batch(operations);
+    this.metadata = newMetadata;
+    console.log(`已重建 ${chain.length} 个区块的索引`);
+  }
+
   /**
    * 加载区块链
+   * 元数据记录的区块缺失、损坏或与前一个区块不相连时（例如旧版本保存过程中崩溃），截断到最后一个完整保存的区块；
+   * 检查点之后的区块包含无效交易时拒绝加载，不修改已保存的数据
+   * 指定 recentBlocks 时按需加载：主链末端 recentBlocks 个区块之前的区块只读取区块头，需要时通过LRU缓存从存储加载
+   * @param {Object} options - 加载选项
+   * @param {number} options.recentBlocks - 主链末端在内存中保留完整区块的数量，不传时加载所有完整区块
+   * @param {number} options.cacheSize - 按需加载的区块最多缓存的数量
+   * @param {number} options.decimals - 新建的链使用的小数位数；已保存的链以元数据中记录的为准，旧版本没有记录时使用该值
    * @returns {Promise<Blockchain>} - 加载的区块链
    */
-  async loadBlockchain() {
+  async loadBlockchain(options = {}) {
     try {
       // 检查数据库是否为空
       let isEmpty = true;
@@ -82,33 +519,108 @@ export class BlockchainStorage {
       // 如果数据库为空，返回新的区块链
       if (isEmpty) {
         console.log('数据库为空，创建新的区块链');
-        return new Blockchain();
+        const blockchain = new Blockchain(undefined, undefined, { decimals: options.decimals });
+        this.decimals = blockchain.decimals;
+        return this.attachBlockStore(blockchain, options);
       }
       
       // 加载区块链元数据
+      // 旧版元数据只保存了前导0个数表示的 difficulty，挖矿奖励是以代币为单位的数字
       const metadata = await this.db.get('metadata');
-      const blockchain = new Blockchain(metadata.difficulty, metadata.miningReward);
+      // 小数位数是链参数，以元数据中记录的为准
+      const decimals = metadata.decimals !== undefined ? metadata.decimals : options.decimals;
+      const miningReward = metadata.miningReward !== undefined ? amountFromJSON(metadata.miningReward, decimals) : undefined;
+      const blockchain = new Blockchain(metadata.difficulty, miningReward, {
+        initialBits: metadata.initialBits,
+        decimals
+      });
+      this.decimals = blockchain.decimals;
       
-      // 清空初始链（移除创世区块）
-      blockchain.chain = [];
+      // 按需加载且索引中有区块头时，较早的区块（创世区块除外）只读取区块头
+      const headersBelow = options.recentBlocks && metadata.indexVersion === INDEX_VERSION
+        ? metadata.chainLength - options.recentBlocks
+        : 0;
       
-      // 加载每个区块
+      // 旧格式区块的检查点：旧版本的元数据没有记录时，开头连续的旧格式区块（没有 bits 字段）都在检查点以下
+      const detectLegacy = metadata.legacyHeight === undefined;
+      let legacyHeight = detectLegacy ? 0 : metadata.legacyHeight;
+      
+      // 加载每个区块，遇到第一个不完整的区块时停止
+      const chain = [];
       for (let i = 0; i < metadata.chainLength; i++) {
-        const blockData = await this.db.get(`block_${i}`);
-        const block = Block.fromJSON(blockData, txData => Transaction.fromJSON(txData));
-        blockchain.chain.push(block);
+        const headerOnly = i > 0 && i < headersBelow;
+        const blockData = headerOnly
+          ? await this.readRecord(`${HEADER_INDEX_PREFIX}${i}`)
+          : await this.readBlockData(i);
+        const previous = chain[chain.length - 1];
+        if (!blockData || blockData.index !== i || (previous && blockData.previousHash !== previous.hash)) {
+          console.log(`区块 #${i} 缺失或不完整，主链截断到区块 #${i - 1}`);
+          break;
+        }
+        
+        if (detectLegacy && legacyHeight === i && blockData.bits === undefined) {
+          legacyHeight++;
+        }
+        
+        // 无法解析的区块与缺失的区块一样截断
+        let block;
+        try {
+          block = headerOnly ? Block.fromHeader(blockData) : this.decodeBlock(blockData);
+        } catch (error) {
+          console.log(`区块 #${i} 无法加载（${error.message}），主链截断到区块 #${i - 1}`);
+          break;
+        }
+
+        // 包含无效交易的区块可能来自验证规则的变化或程序错误，拒绝加载并保留数据，而不是删除
+        if (!headerOnly) {
+          this.checkTransactions(block, legacyHeight);
+        }
+        chain.push(block);
+      }
+      
+      // 连创世区块都没有完整保存时，丢弃元数据，按空数据库处理
+      if (chain.length === 0) {
+        console.log('没有完整保存的区块，创建新的区块链');
+        await this.db.batch([...await this.clearIndexOperations(), { type: 'del', key: 'metadata' }]);
+        return this.attachBlockStore(blockchain, options);
+      }
+      
+      if (chain.length < metadata.chainLength) {
+        this.metadata = await this.truncateChain({ ...metadata, legacyHeight, decimals: this.decimals }, chain);
+      } else {
+        this.metadata = { ...metadata, tipHash: chain[chain.length - 1].hash, legacyHeight, decimals: this.decimals };
+      }
+      
+      // 旧版本的数据或截断后的索引需要重建
+      if (this.metadata.indexVersion !== INDEX_VERSION) {
+        await this.loadFullBlocks(chain);
+        await this.rebuildIndexes(chain);
       }
       
-      // 加载待处理交易
+      // 账户状态需要重新计算时重放整条链
+      const accountState = await this.loadAccountState(chain);
+      if (!accountState) {
+        await this.loadFullBlocks(chain);
+      }
+      
+      // 替换初始链并重建区块树索引；旧格式区块的难度不参与之后的难度调整
+      blockchain.legacyHeight = this.metadata.legacyHeight;
+      blockchain.setChain(chain, accountState);
+      blockchain.setPersistedChain(chain.length, this.metadata.tipHash);
+      this.attachBlockStore(blockchain, options);
+      
+      // 加载待处理交易，逐笔经过交易池验证，丢弃在当前账户状态上已经无效的交易
       try {
         const pendingTxs = await this.db.get('pendingTransactions');
-        blockchain.pendingTransactions = pendingTxs.map(txData => 
-          Transaction.fromJSON(txData)
-        );
+        for (const txData of pendingTxs) {
+          try {
+            blockchain.mempool.add(Transaction.fromJSON(txData, this.decimals), blockchain.accountState);
+          } catch (error) {
+            console.log(`丢弃无效的待处理交易 ${txData.id}: ${error.message}`);
+          }
+        }
       } catch (error) {
-        if (error.code === 'LEVEL_NOT_FOUND') {
-          blockchain.pendingTransactions = [];
-        } else {
+        if (error.code !== 'LEVEL_NOT_FOUND') {
           throw error;
         }
       }
@@ -122,42 +634,173 @@ export class BlockchainStorage {
   }
 
   /**
-   * 保存区块
+   * 在已保存的链末端追加一个区块，区块和更新后的元数据在同一个批量操作中写入
+   * 账户状态不随之更新，加载时发现与最新区块不一致会重新计算
    * @param {Block} block - 要保存的区块
-   * @param {number} index - 区块索引
+   * @param {number} index - 区块索引，必须等于已保存的链长度
    * @returns {Promise} - 保存操作的Promise
    */
   async saveBlock(block, index) {
-    try {
-      await this.db.put(`block_${index}`, block.toJSON());
-      return true;
-    } catch (error) {
-      console.error(`保存区块 #${index} 失败:`, error);
-      throw error;
-    }
+    return this.enqueue(async () => {
+      try {
+        const metadata = await this.getMetadata();
+        if (!metadata) {
+          throw new Error('数据库中没有区块链数据，请先保存区块链');
+        }
+        if (index !== metadata.chainLength) {
+          throw new Error(`区块 #${index} 不能追加到已保存的链末端，当前链长度为 ${metadata.chainLength}`);
+        }
+        if (block.previousHash !== metadata.tipHash) {
+          throw new Error(`区块 #${index} 的前一个区块哈希与已保存的最新区块不一致`);
+        }
+
+        const newMetadata = { ...metadata, chainLength: index + 1, tipHash: block.hash };
+        await this.db.batch([
+          { type: 'put', key: `block_${index}`, value: block.toJSON() },
+          ...indexOperations(block, 'put'),
+          { type: 'put', key: 'metadata', value: newMetadata }
+        ]);
+        this.metadata = newMetadata;
+        return true;
+      } catch (error) {
+        console.error(`保存区块 #${index} 失败:`, error);
+        throw error;
+      }
+    });
   }
 
   /**
-   * 加载区块
+   * 加载已保存主链上的区块
    * @param {number} index - 区块索引
    * @returns {Promise<Block>} - 加载的区块
    */
   async loadBlock(index) {
     try {
-      const blockData = await this.db.get(`block_${index}`);
-      return Block.fromJSON(blockData, txData => Transaction.fromJSON(txData));
+      const metadata = await this.getMetadata();
+      if (!metadata || index < 0 || index >= metadata.chainLength) {
+        throw new Error(`区块 #${index} 不在已保存的主链上`);
+      }
+      const blockData = await this.readBlockData(index);
+      if (!blockData) {
+        throw new Error(`已保存的区块 #${index} 缺失或已损坏`);
+      }
+      return Block.fromJSON(blockData, txData => Transaction.fromJSON(txData, this.decimals));
     } catch (error) {
       console.error(`加载区块 #${index} 失败:`, error);
       throw error;
     }
   }
 
+  /**
+   * 读取二级索引
+   * @param {string} key - 索引键
+   * @returns {Promise<*>} - 索引值，不存在时返回null
+   */
+  async getIndex(key) {
+    try {
+      return await this.db.get(key);
+    } catch (error) {
+      if (error.code === 'LEVEL_NOT_FOUND') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 通过区块哈希加载主链上的区块
+   * @param {string} hash - 区块哈希
+   * @returns {Promise<Block|null>} - 区块，哈希不在已保存的主链上时返回null
+   */
+  async loadBlockByHash(hash) {
+    const height = await this.getIndex(`${HASH_INDEX_PREFIX}${hash}`);
+    if (height === null) {
+      return null;
+    }
+
+    const block = await this.loadBlock(height);
+    return block.hash === hash ? block : null;
+  }
+
+  /**
+   * 通过交易ID加载主链上的交易
+   * @param {string} txId - 交易ID
+   * @returns {Promise<Object|null>} - { transaction, block, position }，交易不在已保存的主链上时返回null
+   */
+  async loadTransaction(txId) {
+    const location = await this.getIndex(`${TX_INDEX_PREFIX}${txId}`);
+    if (!location) {
+      return null;
+    }
+
+    const block = await this.loadBlock(location.height);
+    const transaction = block.transactions[location.position];
+    if (!transaction || transaction.id !== txId) {
+      return null;
+    }
+    return { transaction, block, position: location.position };
+  }
+
+  /**
+   * 按时间顺序分页查询地址的交易历史
+   * @param {string} address - 地址
+   * @param {Object} options - 查询选项
+   * @param {string} options.cursor - 上一页返回的游标 "<高度>:<位置>"，不传时从第一笔交易开始
+   * @param {number} options.limit - 每页最多返回的交易数
+   * @param {Blockchain} options.blockchain - 传入时只返回该区块链主链上的交易
+   * @returns {Promise<Object>} - { entries, nextCursor }，entries 为 { transaction, block, position }，没有下一页时 nextCursor 为null
+   */
+  async getAddressHistory(address, { cursor = null, limit = DEFAULT_HISTORY_PAGE_SIZE, blockchain = null } = {}) {
+    const prefix = `${ADDRESS_INDEX_PREFIX}${address}:`;
+    const range = { lt: `${prefix}\xff` };
+    if (cursor) {
+      const [height, position] = cursor.split(':').map(Number);
+      range.gt = addressIndexKey(address, height, position);
+    } else {
+      range.gte = prefix;
+    }
+
+    // 前缀相同的其他地址（例如 "a" 和 "a:b"）的键也在范围内，按键的格式排除
+    const suffix = new RegExp(`^\\d{${HEIGHT_DIGITS}}:\\d{${POSITION_DIGITS}}$`);
+    // 同一区块中的多笔交易只加载一次区块
+    const blocks = new Map();
+    const entries = [];
+    let hasMore = false;
+    for await (const key of this.db.keys(range)) {
+      if (!suffix.test(key.slice(prefix.length))) {
+        continue;
+      }
+      const [height, position] = key.slice(prefix.length).split(':').map(Number);
+      if (!blocks.has(height)) {
+        blocks.set(height, await this.loadBlock(height));
+      }
+      const block = blocks.get(height);
+
+      // 存储尚未写入最近一次链重组时，索引仍指向已断开的区块，跳过这些交易
+      if (blockchain && !blockchain.isOnMainChain(block)) {
+        continue;
+      }
+      if (entries.length === limit) {
+        hasMore = true;
+        break;
+      }
+      entries.push({ transaction: block.transactions[position], block, position });
+    }
+
+    const last = entries[entries.length - 1];
+    return {
+      entries,
+      nextCursor: hasMore ? `${last.block.index}:${last.position}` : null
+    };
+  }
+
   /**
    * 关闭数据库连接
    * @returns {Promise} - 关闭操作的Promise
    */
   async close() {
     try {
+      await this.writeQueue;
       await this.db.close();
       console.log('数据库连接已关闭');
       return true;
@@ -0,0 +1,69 @@
+/**
+ * 单文件 JSON 存储模块
+ * 所有键值保存在一个 JSON 文件中，便于查看和复制，适合开发节点和较短的链
+ */
+import fs from 'fs';
+import { MemoryStore } from './memoryStore.js';
+
+/**
+ * JSON 文件存储类
+ * 打开时把整个文件读入内存，每个批量操作修改内存中的数据后重写一次文件：先写入临时文件再重命名替换，
+ * 写入中断时原文件保持不变，写入失败时内存中的数据也恢复原状
+ */
+export class JsonFileStore extends MemoryStore {
+  /**
+   * 创建 JSON 文件存储
+   * @param {string} filePath - 数据文件路径，不存在时在第一次写入时创建
+   */
+  constructor(filePath) {
+    super(JsonFileStore.readEntries(filePath));
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve(); // 写操作队列，保证按调用顺序写入文件
+  }
+
+  /**
+   * 读取数据文件
+   * @param {string} filePath - 数据文件路径
+   * @returns {Map} - 键 -> 编码后的值
+   */
+  static readEntries(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new Map();
+    }
+
+    try {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+    } catch (error) {
+      throw new Error(`存储文件 ${filePath} 不是有效的JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * 执行写操作，多次写操作按调用顺序依次写入文件
+   * @param {Array} operations - [{ type: 'put' | 'del', key, value, valueEncoding }]
+   * @returns {Promise} - 写操作的Promise
+   */
+  async write(operations) {
+    const result = this.writeQueue.then(() => super.write(operations));
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * 将批量操作后的数据写入文件
+   * @returns {Promise} - 写入操作的Promise
+   */
+  async flush() {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.entries)));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * 关闭存储，等待未完成的文件写入
+   * @returns {Promise} - 关闭操作的Promise
+   */
+  async close() {
+    await this.writeQueue;
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * 内存键值存储模块
+ * 实现 BlockchainStorage 使用的存储接口，数据只保存在进程内存中，用于测试和临时的开发节点
+ */
+
+/**
+ * 创建与 level 错误码相同的错误
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} - 带错误码的错误
+ */
+export function storeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 检查键是否在范围内
+ * @param {string} key - 键
+ * @param {Object} range - { gt, gte, lt, lte }
+ * @returns {boolean} - 是否在范围内
+ */
+function inRange(key, { gt, gte, lt, lte }) {
+  return (gt === undefined || key > gt) &&
+    (gte === undefined || key >= gte) &&
+    (lt === undefined || key < lt) &&
+    (lte === undefined || key <= lte);
+}
+
+/**
+ * 按写操作指定的编码方式编码值
+ * @param {Object} operation - { value, valueEncoding }，valueEncoding 为 'utf8' 时按原样保存字符串
+ * @returns {string} - 编码后的值
+ */
+function encodeValue({ value, valueEncoding }) {
+  return valueEncoding === 'utf8' ? String(value) : JSON.stringify(value);
+}
+
+/**
+ * 内存存储类
+ * 值按 JSON 编码后保存，与 LevelDB 的 json 编码行为一致：读取到的是副本，无法解码的值抛出 LEVEL_DECODE_ERROR
+ * 批量操作先编码所有值，再直接修改数据并记录被修改的键原来的值，提交失败时恢复，保证原子性
+ */
+export class MemoryStore {
+  /**
+   * 创建内存存储
+   * @param {Map} entries - 初始数据：键 -> 编码后的值
+   */
+  constructor(entries = new Map()) {
+    this.entries = entries;
+  }
+
+  /**
+   * 读取键对应的值
+   * @param {string} key - 键
+   * @returns {Promise<*>} - 解码后的值，键不存在时抛出 LEVEL_NOT_FOUND
+   */
+  async get(key) {
+    if (!this.entries.has(key)) {
+      throw storeError('LEVEL_NOT_FOUND', `键 ${key} 不存在`);
+    }
+
+    try {
+      return JSON.parse(this.entries.get(key));
+    } catch (error) {
+      throw storeError('LEVEL_DECODE_ERROR', `键 ${key} 的值无法解码`);
+    }
+  }
+
+  /**
+   * 写入键值
+   * @param {string} key - 键
+   * @param {*} value - 值
+   * @param {Object} options - { valueEncoding }，为 'utf8' 时按原样保存字符串
+   * @returns {Promise} - 写入操作的Promise
+   */
+  async put(key, value, options = {}) {
+    return this.write([{ type: 'put', key, value, ...options }]);
+  }
+
+  /**
+   * 删除键
+   * @param {string} key - 键
+   * @returns {Promise} - 删除操作的Promise
+   */
+  async del(key) {
+    return this.write([{ type: 'del', key }]);
+  }
+
+  /**
+   * 原子地执行一组写入和删除操作
+   * @param {Array} operations - [{ type: 'put' | 'del', key, value, valueEncoding }]
+   * @returns {Promise} - 批量操作的Promise
+   */
+  async batch(operations) {
+    return this.write(operations);
+  }
+
+  /**
+   * 执行写操作并提交，提交失败时恢复被修改的键
+   * @param {Array} operations - [{ type: 'put' | 'del', key, value, valueEncoding }]
+   * @returns {Promise} - 写操作的Promise
+   */
+  async write(operations) {
+    // 先编码所有值，编码失败时不修改任何数据；删除的键编码为 undefined
+    const changes = operations.map(operation => [
+      operation.key,
+      operation.type === 'put' ? encodeValue(operation) : undefined
+    ]);
+
+    const previous = new Map();
+    for (const [key, encoded] of changes) {
+      if (!previous.has(key)) {
+        previous.set(key, this.entries.get(key));
+      }
+      this.setEntry(key, encoded);
+    }
+
+    try {
+      await this.flush();
+    } catch (error) {
+      for (const [key, encoded] of previous) {
+        this.setEntry(key, encoded);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 写入或删除一个编码后的值
+   * @param {string} key - 键
+   * @param {string|undefined} encoded - 编码后的值，undefined 表示删除
+   */
+  setEntry(key, encoded) {
+    if (encoded === undefined) {
+      this.entries.delete(key);
+    } else {
+      this.entries.set(key, encoded);
+    }
+  }
+
+  /**
+   * 提交批量操作后的数据，内存存储不需要额外操作
+   * @returns {Promise} - 提交操作的Promise
+   */
+  async flush() {}
+
+  /**
+   * 按字典序遍历范围内的键
+   * @param {Object} range - { gt, gte, lt, lte }
+   * @returns {AsyncGenerator<string>} - 键
+   */
+  async *keys(range = {}) {
+    const keys = [...this.entries.keys()].filter(key => inRange(key, range)).sort();
+    for (const key of keys) {
+      yield key;
+    }
+  }
+
+  /**
+   * 关闭存储，内存中的数据保留在实例中，可以交给新的 BlockchainStorage 继续使用
+   * @returns {Promise} - 关闭操作的Promise
+   */
+  async close() {}
+}
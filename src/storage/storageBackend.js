@@ -0,0 +1,42 @@
+/**
+ * 存储后端模块
+ * BlockchainStorage 通过统一的键值存储接口读写数据，可以选择不同的后端实现
+ *
+ * 存储接口与 level 的以下子集一致，值按 JSON 编码：
+ * - get(key)：读取值，键不存在时抛出 code 为 LEVEL_NOT_FOUND 的错误，值无法解码时为 LEVEL_DECODE_ERROR
+ * - put(key, value)、del(key)：写入和删除单个键
+ * - batch(operations)：原子地执行一组 { type: 'put' | 'del', key, value } 操作
+ * - keys({ gt, gte, lt, lte })：按字典序异步遍历范围内的键
+ * - close()：关闭存储
+ */
+import { Level } from 'level';
+import { MemoryStore } from './memoryStore.js';
+import { JsonFileStore } from './jsonFileStore.js';
+
+/**
+ * 存储后端类型枚举
+ */
+export const StorageBackend = {
+  LEVEL: 'level', // LevelDB 数据库目录
+  MEMORY: 'memory', // 进程内存，节点关闭后数据丢失
+  JSON: 'json' // 单个 JSON 文件
+};
+
+/**
+ * 创建存储后端实例
+ * @param {string} backend - 后端类型，见 StorageBackend
+ * @param {string} location - LevelDB 的数据库目录或 JSON 后端的数据文件路径，内存后端忽略
+ * @returns {Object} - 实现存储接口的实例
+ */
+export function createStore(backend, location) {
+  switch (backend) {
+    case StorageBackend.LEVEL:
+      return new Level(location, { valueEncoding: 'json' });
+    case StorageBackend.MEMORY:
+      return new MemoryStore();
+    case StorageBackend.JSON:
+      return new JsonFileStore(location);
+    default:
+      throw new Error(`不支持的存储后端: ${backend}`);
+  }
+}
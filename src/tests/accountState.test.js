@@ -0,0 +1,99 @@
+/**
+ * 账户状态单元测试
+ * 测试交易执行、撤销和序列化
+ */
+import { AccountState } from '../blockchain/accountState.js';
+import { Transaction } from '../blockchain/transaction.js';
+
+/**
+ * 创建只包含交易列表的区块
+ * @param {Array} transactions - 交易列表
+ * @returns {Object} - 区块
+ */
+function createBlock(transactions) {
+  return { transactions };
+}
+
+const rewardTx = new Transaction(null, 'alice', 50, 'reward');
+const transferTx = new Transaction('alice', 'bob', 20, 'regular', 0, 2);
+
+// 测试交易执行与撤销
+describe('账户状态更新测试', () => {
+  test('执行区块后应该更新余额和序号', () => {
+    const state = new AccountState();
+    state.applyBlock(createBlock([rewardTx]));
+    state.applyBlock(createBlock([transferTx]));
+
+    expect(state.getAccount('alice')).toEqual({ balance: 28n, nonce: 1 });
+    expect(state.getAccount('bob')).toEqual({ balance: 20n, nonce: 0 });
+    expect(state.getAccount('carol')).toEqual({ balance: 0n, nonce: 0 });
+  });
+
+  test('撤销区块后应该恢复到执行前的状态', () => {
+    const state = new AccountState();
+    state.applyBlock(createBlock([rewardTx]));
+    const before = state.toJSON();
+
+    const block = createBlock([transferTx, new Transaction(null, 'miner', 52, 'reward')]);
+    state.applyBlock(block);
+    state.revertBlock(block);
+
+    expect(state.toJSON()).toEqual(before);
+  });
+
+  test('余额和序号都为0的账户应该被移除', () => {
+    const state = new AccountState();
+    const block = createBlock([rewardTx]);
+    state.applyBlock(block);
+    state.revertBlock(block);
+
+    expect(state.accounts.size).toBe(0);
+  });
+
+  test('修改副本不应该影响原状态', () => {
+    const state = AccountState.fromChain([createBlock([rewardTx])]);
+    const copy = state.clone();
+    copy.applyTransaction(transferTx);
+
+    expect(state.getBalance('alice')).toBe(50n);
+    expect(copy.getBalance('alice')).toBe(28n);
+  });
+});
+
+// 测试账户状态序列化
+describe('账户状态序列化测试', () => {
+  test('应该能够正确序列化和反序列化账户状态', () => {
+    const state = AccountState.fromChain([createBlock([rewardTx]), createBlock([transferTx])]);
+    const restored = AccountState.fromJSON(JSON.parse(JSON.stringify(state.toJSON())));
+
+    expect(restored.getAccount('alice')).toEqual(state.getAccount('alice'));
+    expect(restored.getAccount('bob')).toEqual(state.getAccount('bob'));
+  });
+});
+
+// 测试状态根
+describe('状态根测试', () => {
+  test('没有账户时状态根应该为全0', () => {
+    expect(new AccountState().getRoot()).toBe('0'.repeat(64));
+  });
+
+  test('状态根应该与账户的写入顺序无关', () => {
+    const stateA = new AccountState();
+    stateA.setAccount('alice', { balance: 10n, nonce: 1 });
+    stateA.setAccount('bob', { balance: 5n, nonce: 0 });
+
+    const stateB = new AccountState();
+    stateB.setAccount('bob', { balance: 5n, nonce: 0 });
+    stateB.setAccount('alice', { balance: 10n, nonce: 1 });
+
+    expect(stateA.getRoot()).toBe(stateB.getRoot());
+  });
+
+  test('余额或序号变化时状态根应该改变', () => {
+    const state = AccountState.fromChain([createBlock([rewardTx])]);
+    const root = state.getRoot();
+
+    state.applyTransaction(transferTx);
+    expect(state.getRoot()).not.toBe(root);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * 金额工具单元测试
+ * 测试可读金额与基本单位的转换、精度检查和旧版金额兼容
+ */
+import { amountFromJSON, formatAmount, parseAmount, toBaseUnits } from '../utils/amount.js';
+
+// 测试可读金额转换
+describe('可读金额转换测试', () => {
+  test('应该把可读金额解析为基本单位', () => {
+    expect(parseAmount('50')).toBe(5000000000n);
+    expect(parseAmount('0.1')).toBe(10000000n);
+    expect(parseAmount('12.5', 2)).toBe(1250n);
+    expect(parseAmount(3, 0)).toBe(3n);
+  });
+
+  test('小数位数超过精度的金额应该被拒绝而不是舍入', () => {
+    expect(() => parseAmount('0.000000001')).toThrow('金额最多只能有 8 位小数');
+    expect(() => parseAmount('1.005', 2)).toThrow('金额最多只能有 2 位小数');
+  });
+
+  test('格式错误或为负数的金额应该被拒绝', () => {
+    for (const value of ['', 'abc', '-1', '1.', '.5', '1e3', 0.1 + 0.2]) {
+      expect(() => parseAmount(value)).toThrow();
+    }
+  });
+
+  test('应该把基本单位格式化为可读金额并省略末尾的0', () => {
+    expect(formatAmount(5000000000n)).toBe('50');
+    expect(formatAmount(10000000n)).toBe('0.1');
+    expect(formatAmount(1n)).toBe('0.00000001');
+    expect(formatAmount(-1250n, 2)).toBe('-12.5');
+    expect(formatAmount(7n, 0)).toBe('7');
+  });
+
+  test('多次累加后金额应该保持精确', () => {
+    const total = parseAmount('0.1') + parseAmount('0.2');
+
+    expect(total).toBe(parseAmount('0.3'));
+    expect(formatAmount(total)).toBe('0.3');
+  });
+});
+
+// 测试基本单位校验
+describe('基本单位测试', () => {
+  test('整数、整数字符串和 BigInt 应该转换为 BigInt', () => {
+    expect(toBaseUnits(10)).toBe(10n);
+    expect(toBaseUnits('12345678901234567890')).toBe(12345678901234567890n);
+    expect(toBaseUnits(-5n)).toBe(-5n);
+  });
+
+  test('非整数的基本单位应该被拒绝', () => {
+    for (const value of [0.5, '1.5', NaN, undefined, null, 2 ** 60]) {
+      expect(() => toBaseUnits(value)).toThrow('金额必须是以基本单位表示的整数');
+    }
+  });
+
+  test('旧版以代币为单位的数字金额应该换算为基本单位', () => {
+    expect(amountFromJSON(50)).toBe(5000000000n);
+    expect(amountFromJSON(0.1 + 0.2)).toBe(30000000n);
+    expect(amountFromJSON('50')).toBe(50n);
+    expect(amountFromJSON(12.5, 2)).toBe(1250n);
+  });
+});
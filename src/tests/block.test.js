@@ -4,22 +4,43 @@
  */
 import { Block } from '../blockchain/block.js';
 import { Transaction } from '../blockchain/transaction.js';
+import { generateKeyPair } from '../utils/crypto.js';
+import { difficultyToBits, hashMeetsTarget } from '../utils/target.js';
+
+/**
+ * 创建一笔已签名的交易
+ * @param {Object} keyPair - 发送方密钥对
+ * @param {string} toAddress - 接收方地址
+ * @param {number} amount - 交易金额
+ * @returns {Transaction} - 已签名的交易
+ */
+function createSignedTransaction(keyPair, toAddress, amount) {
+  const tx = new Transaction(keyPair.address, toAddress, amount);
+  tx.signTransaction(keyPair.privateKey);
+  return tx;
+}
+
+// 与旧版难度2（两个十六进制前导0）相当的目标值
+const bits = difficultyToBits(2);
+
+const keyPair1 = generateKeyPair();
+const keyPair2 = generateKeyPair();
 
 // 模拟交易数据
 const mockTransactions = [
-  new Transaction('address1', 'address2', 10),
-  new Transaction('address2', 'address3', 5)
+  createSignedTransaction(keyPair1, keyPair2.address, 10),
+  createSignedTransaction(keyPair2, 'address3', 5)
 ];
 
 // 测试区块创建
 describe('区块创建测试', () => {
   test('应该正确创建区块', () => {
-    const block = new Block(1, 'prev123', mockTransactions, 2);
+    const block = new Block(1, 'prev123', mockTransactions, bits);
     
     expect(block.index).toBe(1);
     expect(block.previousHash).toBe('prev123');
     expect(block.transactions.length).toBe(2);
-    expect(block.difficulty).toBe(2);
+    expect(block.bits).toBe(bits);
     expect(block.nonce).toBe(0);
     expect(block.hash).toBeDefined();
     expect(block.merkleRoot).toBeDefined();
@@ -29,7 +50,7 @@ describe('区块创建测试', () => {
 // 测试区块哈希计算
 describe('区块哈希计算测试', () => {
   test('修改区块数据后哈希应该改变', () => {
-    const block = new Block(1, 'prev123', mockTransactions, 2);
+    const block = new Block(1, 'prev123', mockTransactions, bits);
     const originalHash = block.hash;
     
     // 修改区块数据
@@ -38,30 +59,92 @@ describe('区块哈希计算测试', () => {
     
     expect(block.hash).not.toBe(originalHash);
   });
+  
+  test('修改状态根后哈希应该改变', () => {
+    const block = new Block(1, 'prev123', mockTransactions, bits);
+    const originalHash = block.hash;
+    
+    block.stateRoot = 'a'.repeat(64);
+    
+    expect(block.calculateHash()).not.toBe(originalHash);
+  });
 });
 
 // 测试区块挖矿
 describe('区块挖矿测试', () => {
   test('挖矿后哈希应该满足难度要求', () => {
-    const block = new Block(1, 'prev123', mockTransactions, 2);
+    const block = new Block(1, 'prev123', mockTransactions, bits);
     block.mineBlock();
     
-    // 验证哈希前缀是否符合难度要求（前n位为0）
-    expect(block.hash.substring(0, block.difficulty)).toBe('0'.repeat(block.difficulty));
+    // 验证哈希数值不大于目标值
+    expect(hashMeetsTarget(block.hash, block.bits)).toBe(true);
+    expect(block.hash.substring(0, 2)).toBe('00');
+  });
+});
+
+// 测试挖矿的随机数滚动与取消
+describe('挖矿控制测试', () => {
+  // 目标值为1，实际上不可能挖到
+  const impossibleBits = 0x03000001;
+  
+  test('随机数用尽时应该滚动时间戳或额外随机数并继续挖矿', () => {
+    const block = new Block(1, 'prev123', mockTransactions, bits);
+    const originalTimestamp = block.timestamp;
+    
+    expect(block.mineBlock({ maxNonce: 3 })).toBe(true);
+    expect(block.nonce).toBeLessThanOrEqual(3);
+    expect(block.extraNonce > 0 || block.timestamp > originalTimestamp).toBe(true);
+    expect(block.isValid()).toBe(true);
+  });
+  
+  test('同一毫秒内用尽随机数时应该增加额外随机数', () => {
+    const block = new Block(1, 'prev123', mockTransactions, bits);
+    block.timestamp = Date.now() + 60000;
+    block.nonce = 5;
+    
+    block.rollHeader();
+    expect(block.nonce).toBe(0);
+    expect(block.extraNonce).toBe(1);
+  });
+  
+  test('取消信号触发后应该停止同步挖矿', () => {
+    const controller = new AbortController();
+    controller.abort();
+    const block = new Block(1, 'prev123', mockTransactions, impossibleBits);
+    
+    expect(block.mineBlock({ signal: controller.signal })).toBe(false);
+    expect(block.isValid()).toBe(false);
+  });
+  
+  test('取消信号触发后应该停止异步挖矿', async () => {
+    const controller = new AbortController();
+    const block = new Block(1, 'prev123', mockTransactions, impossibleBits);
+    
+    const mining = block.mine({ signal: controller.signal });
+    controller.abort();
+    
+    await expect(mining).resolves.toBe(false);
+  });
+  
+  test('异步挖矿应该找到满足目标值的哈希', async () => {
+    const block = new Block(1, 'prev123', mockTransactions, bits);
+    
+    await expect(block.mine()).resolves.toBe(true);
+    expect(block.isValid()).toBe(true);
   });
 });
 
 // 测试区块验证
 describe('区块验证测试', () => {
   test('有效区块应该通过验证', () => {
-    const block = new Block(1, 'prev123', mockTransactions, 2);
+    const block = new Block(1, 'prev123', mockTransactions, bits);
     block.mineBlock();
     
     expect(block.isValid()).toBe(true);
   });
   
   test('篡改的区块应该验证失败', () => {
-    const block = new Block(1, 'prev123', mockTransactions, 2);
+    const block = new Block(1, 'prev123', mockTransactions, bits);
     block.mineBlock();
     
     // 篡改区块数据但不重新计算哈希
@@ -69,12 +152,123 @@ describe('区块验证测试', () => {
     
     expect(block.isValid()).toBe(false);
   });
+  
+  test('包含伪造公钥交易的区块应该验证失败', () => {
+    const attacker = generateKeyPair();
+    
+    // 攻击者用自己的密钥签名，却冒充 keyPair1 的地址
+    const forgedTx = new Transaction(keyPair1.address, attacker.address, 50);
+    forgedTx.publicKey = attacker.publicKey;
+    forgedTx.signature = createSignedTransaction(attacker, attacker.address, 50).signature;
+    
+    const block = new Block(1, 'prev123', [forgedTx], bits);
+    
+    expect(block.hasValidTransactions()).toBe(false);
+    expect(block.isValid()).toBe(false);
+  });
+  
+  test('保持交易ID不变篡改交易内容的区块应该验证失败', () => {
+    const rewardTx = new Transaction(null, 'minerAddress', 50, 'reward');
+    const block = new Block(1, 'prev123', [rewardTx], bits);
+    block.mineBlock();
+    
+    // 奖励交易没有签名，交易ID与内容的哈希不一致，默克尔根也随之改变
+    const tamperedReward = Transaction.fromJSON({ ...rewardTx.toJSON(), amount: 5000 });
+    block.transactions = [tamperedReward];
+    
+    expect(block.hasValidTransactions()).toBe(false);
+    expect(block.isValid()).toBe(false);
+  });
+  
+  test('发送方重新签名同一交易ID的区块应该验证失败', () => {
+    const tx = createSignedTransaction(keyPair1, keyPair2.address, 10);
+    const block = new Block(1, 'prev123', [tx], bits);
+    block.mineBlock();
+    
+    // 相同ID、不同收款方的交易，签名本身有效
+    const resigned = new Transaction(keyPair1.address, 'address3', 10);
+    resigned.id = tx.id;
+    resigned.timestamp = tx.timestamp;
+    resigned.signTransaction(keyPair1.privateKey);
+    block.transactions = [resigned];
+    
+    expect(block.hasValidTransactions()).toBe(true);
+    expect(block.isValid()).toBe(false);
+  });
+});
+
+// 测试区块工作量
+describe('区块工作量测试', () => {
+  test('旧版难度每增加1工作量应该变为16倍', () => {
+    expect(new Block(1, 'prev123', [], difficultyToBits(1)).getWork()).toBe(16n);
+    expect(new Block(1, 'prev123', [], difficultyToBits(2)).getWork()).toBe(256n);
+    expect(new Block(1, 'prev123', [], difficultyToBits(3)).getWork()).toBe(4096n);
+  });
+  
+  test('目标值无效的区块工作量应该为0', () => {
+    expect(new Block(1, 'prev123', [], 0).getWork()).toBe(0n);
+    expect(new Block(1, 'prev123', [], 0x20800000).getWork()).toBe(0n);
+  });
+});
+
+// 测试交易包含证明
+describe('交易证明测试', () => {
+  const transactions = [
+    ...mockTransactions,
+    createSignedTransaction(keyPair1, 'address4', 1)
+  ];
+  const block = new Block(1, 'prev123', transactions, bits);
+  block.mineBlock();
+
+  test('区块中每笔交易的证明都应该有效', () => {
+    for (const tx of transactions) {
+      const transactionProof = block.getTransactionProof(tx.id);
+      
+      expect(transactionProof.header.merkleRoot).toBe(block.merkleRoot);
+      expect(Block.verifyTransactionProof(transactionProof)).toBe(true);
+    }
+  });
+  
+  test('经过JSON序列化的证明应该仍然有效', () => {
+    const transactionProof = JSON.parse(JSON.stringify(block.getTransactionProof(transactions[2].id)));
+    
+    expect(Block.verifyTransactionProof(transactionProof)).toBe(true);
+  });
+  
+  test('不在区块中的交易应该没有证明', () => {
+    expect(block.getTransactionProof('unknown')).toBeNull();
+  });
+  
+  test('交易ID或证明路径被篡改时证明应该无效', () => {
+    const wrongTx = block.getTransactionProof(transactions[0].id);
+    wrongTx.txId = transactions[1].id;
+    expect(Block.verifyTransactionProof(wrongTx)).toBe(false);
+    
+    const wrongPath = block.getTransactionProof(transactions[0].id);
+    wrongPath.proof[0].data = 'f'.repeat(64);
+    expect(Block.verifyTransactionProof(wrongPath)).toBe(false);
+  });
+  
+  test('交易内容被篡改时证明应该无效', () => {
+    const transactionProof = block.getTransactionProof(transactions[0].id);
+    transactionProof.transaction.amount = 1000;
+    
+    expect(Block.verifyTransactionProof(transactionProof)).toBe(false);
+  });
+  
+  test('区块头与哈希不符时证明应该无效', () => {
+    const transactionProof = block.getTransactionProof(transactions[0].id);
+    transactionProof.header.nonce++;
+    
+    expect(Block.verifyTransactionProof(transactionProof)).toBe(false);
+    expect(Block.verifyTransactionProof(null)).toBe(false);
+  });
 });
 
 // 测试区块序列化和反序列化
 describe('区块序列化测试', () => {
   test('应该能够正确序列化和反序列化区块', () => {
-    const originalBlock = new Block(1, 'prev123', mockTransactions, 2);
+    const originalBlock = new Block(1, 'prev123', mockTransactions, bits);
     originalBlock.mineBlock();
     
     // 序列化
@@ -88,8 +282,18 @@ describe('区块序列化测试', () => {
     expect(restoredBlock.hash).toBe(originalBlock.hash);
     expect(restoredBlock.previousHash).toBe(originalBlock.previousHash);
     expect(restoredBlock.nonce).toBe(originalBlock.nonce);
-    expect(restoredBlock.difficulty).toBe(originalBlock.difficulty);
+    expect(restoredBlock.extraNonce).toBe(originalBlock.extraNonce);
+    expect(restoredBlock.bits).toBe(originalBlock.bits);
     expect(restoredBlock.merkleRoot).toBe(originalBlock.merkleRoot);
+    expect(restoredBlock.stateRoot).toBe(originalBlock.stateRoot);
     expect(restoredBlock.transactions.length).toBe(originalBlock.transactions.length);
   });
+  
+  test('旧格式的区块应该把 difficulty 转换为目标值', () => {
+    const legacyJSON = { ...new Block(1, 'prev123', [], bits).toJSON(), difficulty: 2 };
+    delete legacyJSON.bits;
+    
+    const restoredBlock = Block.fromJSON(legacyJSON, txData => Transaction.fromJSON(txData));
+    expect(restoredBlock.bits).toBe(difficultyToBits(2));
+  });
 });
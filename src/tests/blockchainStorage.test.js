@@ -0,0 +1,607 @@
+/**
+ * 区块链存储单元测试
+ * 测试保存和加载区块链、主链变化的增量写入、按高度保存和加载区块、写入中断后的恢复，区块哈希、交易ID和地址交易历史索引，以及按需加载较早的区块
+ * 每个测试在所有存储后端上运行
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BlockchainStorage } from '../storage/blockchainStorage.js';
+import { StorageBackend } from '../storage/storageBackend.js';
+import { Blockchain, BlockStatus, ChainValidationReason } from '../blockchain/blockchain.js';
+import { Transaction } from '../blockchain/transaction.js';
+import { generateKeyPair } from '../utils/crypto.js';
+import { parseAmount } from '../utils/amount.js';
+import { jest } from '@jest/globals';
+
+// 禁用控制台输出，使测试输出更清晰
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+describe.each(Object.values(StorageBackend))('区块链存储测试（%s 后端）', (backend) => {
+  let dir;
+  let storage;
+  let blockchain;
+  let senderKeyPair;
+
+  /**
+   * 打开存储，内存后端继续使用之前的存储实例中的数据
+   * @returns {BlockchainStorage} - 区块链存储
+   */
+  function openStorage() {
+    return new BlockchainStorage(path.join(dir, 'blockchain'), {
+      backend,
+      store: backend === StorageBackend.MEMORY && storage ? storage.db : null
+    });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blockchain-storage-'));
+    storage = null;
+    storage = openStorage();
+    blockchain = new Blockchain(1);
+    senderKeyPair = generateKeyPair();
+    blockchain.minePendingTransactions(senderKeyPair.address);
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('保存后重新加载应该得到相同的主链、账户状态和待处理交易', async () => {
+    const tx = new Transaction(senderKeyPair.address, 'receiver', 10);
+    tx.signTransaction(senderKeyPair.privateKey);
+    blockchain.addTransaction(tx);
+    await storage.saveBlockchain(blockchain);
+    await storage.close();
+
+    storage = openStorage();
+    const loaded = await storage.loadBlockchain();
+
+    expect(loaded.chain.map(block => block.hash)).toEqual(blockchain.chain.map(block => block.hash));
+    expect(loaded.getBalanceOfAddress(senderKeyPair.address)).toBe(blockchain.getBalanceOfAddress(senderKeyPair.address));
+    expect(loaded.pendingTransactions.map(pending => pending.id)).toEqual([tx.id]);
+  });
+
+  test('新连接区块时应该只写入该区块及其索引、元数据和账户状态', async () => {
+    await storage.syncChain(blockchain);
+    const batch = jest.spyOn(storage.db, 'batch');
+
+    const block = blockchain.minePendingTransactions('minerAddress');
+    const result = await storage.syncChain(blockchain);
+
+    expect(result).toEqual({ disconnected: 0, connected: 1 });
+    expect(batch).toHaveBeenCalledTimes(1);
+    expect(batch.mock.calls[0][0].map(operation => operation.key)).toEqual([
+      `block_${block.index}`,
+      `header:${block.index}`,
+      `hash:${block.hash}`,
+      `tx:${block.transactions[0].id}`,
+      `addr:minerAddress:${String(block.index).padStart(10, '0')}:000000`,
+      'metadata',
+      'account:minerAddress',
+      'accountStateTip'
+    ]);
+    expect((await storage.getMetadata()).tipHash).toBe(block.hash);
+  });
+
+  test('主链没有变化时不应该写入数据库', async () => {
+    await storage.syncChain(blockchain);
+    const batch = jest.spyOn(storage.db, 'batch');
+
+    expect(await storage.syncChain(blockchain)).toEqual({ disconnected: 0, connected: 0 });
+    expect(batch).not.toHaveBeenCalled();
+  });
+
+  test('链重组后应该覆盖断开的区块并写入新分支', async () => {
+    const otherBlockchain = Blockchain.fromJSON(blockchain.toJSON());
+    otherBlockchain.miningReward = blockchain.miningReward;
+    blockchain.minePendingTransactions('minerA');
+    await storage.syncChain(blockchain);
+
+    const sideBlocks = [];
+    for (let i = 0; i < 3; i++) {
+      sideBlocks.push(otherBlockchain.minePendingTransactions('minerB'));
+    }
+    const statuses = sideBlocks.map(block => blockchain.addBlock(block.toJSON()).status);
+    expect(statuses).toContain(BlockStatus.REORGANIZED);
+
+    const result = await storage.syncChain(blockchain);
+    expect(result).toEqual({ disconnected: 1, connected: 3 });
+
+    await storage.close();
+    storage = openStorage();
+    const loaded = await storage.loadBlockchain();
+    expect(loaded.chain.map(block => block.hash)).toEqual(otherBlockchain.chain.map(block => block.hash));
+    expect(loaded.getBalanceOfAddress('minerA')).toBe(0n);
+    expect(loaded.accountState.toJSON()).toEqual(otherBlockchain.accountState.toJSON());
+    await expect(storage.db.get('account:minerA')).rejects.toMatchObject({ code: 'LEVEL_NOT_FOUND' });
+  });
+
+  test('加载时应该使用按账户保存的状态，与最新区块不一致时重新计算', async () => {
+    blockchain.minePendingTransactions('minerA');
+    await storage.syncChain(blockchain);
+    expect(await storage.db.get('account:minerA')).toEqual({ balance: blockchain.miningReward.toString(), nonce: 0 });
+    expect((await storage.loadAccountState(blockchain.chain)).toJSON()).toEqual(blockchain.accountState.toJSON());
+
+    await storage.db.put('accountStateTip', '0'.repeat(64));
+    expect(await storage.loadAccountState(blockchain.chain)).toBeNull();
+  });
+
+  test('切换到较短的主链时应该删除多余的区块', async () => {
+    const shorter = Blockchain.fromJSON(blockchain.toJSON());
+    blockchain.minePendingTransactions('minerA');
+    blockchain.minePendingTransactions('minerA');
+    await storage.syncChain(blockchain);
+
+    await storage.syncChain(shorter);
+
+    expect((await storage.getMetadata()).chainLength).toBe(2);
+    await expect(storage.db.get('block_2')).rejects.toMatchObject({ code: 'LEVEL_NOT_FOUND' });
+    await expect(storage.loadBlock(2)).rejects.toThrow('区块 #2 不在已保存的主链上');
+  });
+
+  test('保存单个区块只能追加到已保存的链末端', async () => {
+    await storage.syncChain(blockchain);
+    const block = blockchain.minePendingTransactions('minerAddress');
+
+    await expect(storage.saveBlock(block, block.index + 1)).rejects.toThrow('不能追加到已保存的链末端');
+    await storage.saveBlock(block, block.index);
+
+    expect((await storage.loadBlock(block.index)).hash).toBe(block.hash);
+    expect((await storage.getMetadata()).chainLength).toBe(block.index + 1);
+    await expect(storage.saveBlock(block, block.index + 1)).rejects.toThrow('前一个区块哈希与已保存的最新区块不一致');
+  });
+
+  /**
+   * 关闭并重新打开数据库，模拟节点重启
+   * @returns {Promise<Blockchain>} - 重新加载的区块链
+   */
+  async function reopen() {
+    await storage.close();
+    storage = openStorage();
+    return storage.loadBlockchain();
+  }
+
+  test('批量写入失败时数据库应该保持写入前的状态', async () => {
+    await storage.syncChain(blockchain);
+    const savedTip = blockchain.getLatestBlock();
+    blockchain.minePendingTransactions('minerAddress');
+    jest.spyOn(storage.db, 'batch').mockRejectedValueOnce(new Error('磁盘已满'));
+
+    await expect(storage.syncChain(blockchain)).rejects.toThrow('磁盘已满');
+    expect((await storage.db.get('metadata')).tipHash).toBe(savedTip.hash);
+
+    const loaded = await reopen();
+    expect(loaded.getLatestBlock().hash).toBe(savedTip.hash);
+  });
+
+  test('元数据记录的区块缺失时应该截断到最后一个完整保存的区块', async () => {
+    await storage.syncChain(blockchain);
+
+    // 模拟旧版本先写元数据、再逐个写区块时崩溃
+    blockchain.minePendingTransactions('minerAddress');
+    blockchain.minePendingTransactions('minerAddress');
+    await storage.db.put('metadata', { ...(await storage.db.get('metadata')), chainLength: 4 });
+    await storage.db.put('block_2', blockchain.chain[2].toJSON());
+
+    const loaded = await reopen();
+
+    expect(loaded.chain.length).toBe(3);
+    expect(loaded.getBalanceOfAddress('minerAddress')).toBe(loaded.miningReward);
+    expect(await storage.getMetadata()).toMatchObject({ chainLength: 3, tipHash: blockchain.chain[2].hash });
+    await expect(storage.db.get('block_3')).rejects.toMatchObject({ code: 'LEVEL_NOT_FOUND' });
+  });
+
+  test('损坏或不相连的区块应该被截断', async () => {
+    blockchain.minePendingTransactions('minerAddress');
+    await storage.syncChain(blockchain);
+    await storage.db.put('block_2', '{"index":2,', { valueEncoding: 'utf8' });
+
+    let loaded = await reopen();
+    expect(loaded.chain.length).toBe(2);
+
+    const other = new Blockchain(1);
+    other.minePendingTransactions('minerB');
+    await storage.db.put('metadata', { ...(await storage.db.get('metadata')), chainLength: 3 });
+    await storage.db.put('block_2', { ...other.chain[1].toJSON(), index: 2 });
+
+    loaded = await reopen();
+    expect(loaded.chain.length).toBe(2);
+    expect(loaded.getLatestBlock().hash).toBe(blockchain.chain[1].hash);
+  });
+
+  test('应该加载旧版本保存的旧格式区块，检查点以下的交易不验证', async () => {
+    // 旧格式：区块只有 difficulty，金额是以代币为单位的数字，交易ID随机生成，转账没有公钥
+    const legacyBlock = (index, transactions) => ({
+      index,
+      timestamp: 1747583628420 + index * 5000,
+      previousHash: index === 0 ? '0'.repeat(64) : '1'.repeat(64),
+      hash: '1'.repeat(64),
+      nonce: 0,
+      difficulty: 1,
+      merkleRoot: '0'.repeat(64),
+      transactions
+    });
+    const legacyTx = (id, fromAddress, toAddress, amount, type, signature = null) => ({
+      id, fromAddress, toAddress, amount, timestamp: 1747583628420, type, signature
+    });
+    const transferId = '73c87fd1-9484-4f71-96a2-4f3ded96164b';
+    await storage.db.batch([
+      { type: 'put', key: 'metadata', value: { difficulty: 1, miningReward: 50, chainLength: 3 } },
+      { type: 'put', key: 'block_0', value: legacyBlock(0, []) },
+      { type: 'put', key: 'block_1', value: legacyBlock(1, [legacyTx('fc721624', null, 'minerA', 50, 'reward')]) },
+      { type: 'put', key: 'block_2', value: legacyBlock(2, [
+        legacyTx(transferId, 'minerA', 'receiver', 20, 'regular', 'ab'.repeat(64)),
+        legacyTx('a459fa94', null, 'minerA', 50, 'reward')
+      ]) }
+    ]);
+
+    let loaded = await reopen();
+    expect(loaded.chain.length).toBe(3);
+    expect(loaded.getBalanceOfAddress('minerA')).toBe(parseAmount('80'));
+    expect(loaded.getBalanceOfAddress('receiver')).toBe(parseAmount('20'));
+    expect((await storage.loadTransaction(transferId)).block.index).toBe(2);
+    expect((await storage.getMetadata()).legacyHeight).toBe(3);
+
+    // 检查点之后新保存的区块是新格式，重新加载时照常验证
+    loaded.minePendingTransactions('minerB');
+    await storage.syncChain(loaded);
+    loaded = await reopen();
+    expect(loaded.chain.length).toBe(4);
+    expect(loaded.getBalanceOfAddress('minerA')).toBe(parseAmount('80'));
+    expect(await storage.getMetadata()).toMatchObject({ chainLength: 4, legacyHeight: 3 });
+  });
+
+  test('旧格式区块的难度不应该沿用到检查点之后，下一个区块从初始目标值开始', async () => {
+    // 旧版本没有真正挖矿，区块难度一路升到无法挖出的 47
+    const difficulties = [1, 2, 3, 5, 8, 13, 21, 34, 45, 44, 46, 47];
+    await storage.db.batch([
+      { type: 'put', key: 'metadata', value: { difficulty: 47, miningReward: 50, chainLength: difficulties.length } },
+      ...difficulties.map((difficulty, index) => ({
+        type: 'put',
+        key: `block_${index}`,
+        value: {
+          index,
+          timestamp: 1747583628420 + index * 5000,
+          previousHash: index === 0 ? '0'.repeat(64) : '1'.repeat(64),
+          hash: '1'.repeat(64),
+          nonce: 0,
+          difficulty,
+          merkleRoot: '0'.repeat(64),
+          transactions: []
+        }
+      }))
+    ]);
+
+    let loaded = await reopen();
+    expect(loaded.legacyHeight).toBe(difficulties.length);
+    expect(loaded.bits).toBe(loaded.initialBits);
+    expect(loaded.difficulty).toBeLessThan(1000);
+
+    // 检查点之后的区块能挖出，重新加载后照常验证并沿用新区块的目标值
+    const block = loaded.minePendingTransactions('minerB');
+    expect(block.bits).toBe(loaded.initialBits);
+    await storage.syncChain(loaded);
+    loaded = await reopen();
+    expect(loaded.chain.length).toBe(difficulties.length + 1);
+    expect(loaded.bits).toBe(block.bits);
+  });
+
+  test('旧格式区块的哈希重复时，加载的链应该可以延长、只保留区块头，并接受共享检查点的链', async () => {
+    // 旧版本的区块哈希不由内容计算：所有区块的哈希相同，前一个区块哈希指向自身
+    await storage.db.batch([
+      { type: 'put', key: 'metadata', value: { difficulty: 2, miningReward: 50, chainLength: 6 } },
+      ...[0, 1, 2, 3, 4, 5].map(index => ({
+        type: 'put',
+        key: `block_${index}`,
+        value: {
+          index,
+          timestamp: 1747583628420 + index * 5000,
+          previousHash: index === 0 ? '0'.repeat(64) : '1'.repeat(64),
+          hash: '1'.repeat(64),
+          nonce: 0,
+          difficulty: 2,
+          merkleRoot: '0'.repeat(64),
+          transactions: index === 0 ? [] : [{ id: `r${index}`, fromAddress: null, toAddress: 'minerA', amount: 50, timestamp: 0, type: 'reward', signature: null }]
+        }
+      }))
+    ]);
+
+    await storage.close();
+    storage = openStorage();
+    const loaded = await storage.loadBlockchain({ recentBlocks: 2 });
+    const legacyWork = loaded.chain.reduce((sum, block) => sum + block.getWork(), 0n);
+    expect(loaded.getChainWork()).toBe(legacyWork);
+
+    // 延长并保存后较早的旧格式区块只保留区块头，之后的区块仍然接在主链末端
+    for (let i = 0; i < 2; i++) {
+      const block = loaded.createBlockTemplate('minerB');
+      block.mineBlock();
+      expect(loaded.addBlock(block.toJSON()).status).toBe(BlockStatus.EXTENDED);
+      await storage.syncChain(loaded);
+    }
+    expect(loaded.chain.length).toBe(8);
+    expect(loaded.chain.slice(0, 6).map(block => block.hasTransactions())).toEqual([true, false, false, false, false, false]);
+    expect(loaded.getChainWork()).toBe(legacyWork + loaded.chain[6].getWork() + loaded.chain[7].getWork());
+    expect(await loaded.isChainValid()).toBe(true);
+
+    // 共享检查点以下旧格式区块的更长链可以替换主链，篡改旧格式区块的链被拒绝
+    const fullChain = await loaded.loadChain();
+    const next = loaded.createBlockTemplate('minerC');
+    next.mineBlock();
+    const tampered = fullChain.map(block => block.toJSON());
+    tampered[3] = { ...tampered[3], timestamp: tampered[3].timestamp + 1 };
+    expect(loaded.isValidChain([...tampered, next.toJSON()])).toMatchObject({
+      valid: false,
+      reason: ChainValidationReason.INVALID_CHECKPOINT,
+      blockIndex: 3
+    });
+    expect(loaded.replaceChain([...fullChain, next].map(block => block.toJSON()))).toBe(true);
+    expect(loaded.chain.length).toBe(9);
+    expect(loaded.getBalanceOfAddress('minerA')).toBe(parseAmount('250'));
+  });
+
+  test('小数位数应该随链保存，旧版本的数字金额按链的小数位数换算', async () => {
+    await storage.close();
+    storage = openStorage();
+    await storage.db.batch([
+      { type: 'put', key: 'metadata', value: { difficulty: 1, miningReward: 50, chainLength: 2 } },
+      { type: 'put', key: 'block_0', value: { ...blockchain.chain[0].toJSON(), bits: undefined, difficulty: 1 } },
+      { type: 'put', key: 'block_1', value: {
+        ...blockchain.chain[1].toJSON(),
+        bits: undefined,
+        difficulty: 1,
+        transactions: [{ id: 'a459fa94', fromAddress: null, toAddress: 'minerA', amount: 50, timestamp: 0, type: 'reward', signature: null }]
+      } }
+    ]);
+
+    let loaded = await storage.loadBlockchain({ decimals: 2 });
+    expect(loaded.decimals).toBe(2);
+    expect(loaded.miningReward).toBe(5000n);
+    expect(loaded.getBalanceOfAddress('minerA')).toBe(5000n);
+
+    // 元数据记录小数位数之后，配置不同的小数位数不会改变链上金额
+    await storage.syncChain(loaded);
+    expect((await storage.getMetadata()).decimals).toBe(2);
+    await storage.close();
+    storage = openStorage();
+    loaded = await storage.loadBlockchain({ decimals: 8 });
+    expect(loaded.decimals).toBe(2);
+    expect(loaded.miningReward).toBe(5000n);
+  });
+
+  test('检查点之后包含无效交易的区块应该拒绝加载，不删除数据', async () => {
+    blockchain.minePendingTransactions('minerAddress');
+    await storage.syncChain(blockchain);
+
+    // 没有公钥和签名的转账
+    const unsigned = new Transaction(senderKeyPair.address, 'receiver', 10);
+    const blockData = blockchain.chain[2].toJSON();
+    await storage.db.put('block_2', { ...blockData, transactions: [unsigned.toJSON(), ...blockData.transactions] });
+
+    await expect(reopen()).rejects.toThrow('已保存的区块 #2 包含无效交易，拒绝加载');
+    expect((await storage.db.get('metadata')).chainLength).toBe(3);
+    expect((await storage.db.get('block_2')).transactions).toHaveLength(blockData.transactions.length + 1);
+  });
+
+  test('创世区块缺失时应该按空数据库创建新的区块链', async () => {
+    await storage.syncChain(blockchain);
+    await storage.db.del('block_0');
+
+    const loaded = await reopen();
+
+    expect(loaded.chain.length).toBe(1);
+    expect(await storage.getMetadata()).toBeNull();
+  });
+
+  test('应该可以通过区块哈希和交易ID查询主链上的区块和交易', async () => {
+    const tx = new Transaction(senderKeyPair.address, 'receiver', 10);
+    tx.signTransaction(senderKeyPair.privateKey);
+    blockchain.addTransaction(tx);
+    const block = blockchain.minePendingTransactions('minerAddress');
+    await storage.syncChain(blockchain);
+
+    expect((await storage.loadBlockByHash(block.hash)).index).toBe(block.index);
+    expect(await storage.loadBlockByHash('0'.repeat(64))).toBeNull();
+
+    const found = await storage.loadTransaction(tx.id);
+    expect(found.transaction.id).toBe(tx.id);
+    expect(found.block.hash).toBe(block.hash);
+    expect(found.position).toBe(block.transactions.findIndex(blockTx => blockTx.id === tx.id));
+    expect(await storage.loadTransaction('unknown')).toBeNull();
+  });
+
+  test('链重组后断开区块的索引应该被删除，重新打包的交易指向新的位置', async () => {
+    const otherBlockchain = Blockchain.fromJSON(blockchain.toJSON());
+    otherBlockchain.miningReward = blockchain.miningReward;
+    const tx = new Transaction(senderKeyPair.address, 'receiver', 10);
+    tx.signTransaction(senderKeyPair.privateKey);
+    blockchain.addTransaction(tx);
+    const oldBlock = blockchain.minePendingTransactions('minerA');
+    await storage.syncChain(blockchain);
+
+    otherBlockchain.minePendingTransactions('minerB');
+    otherBlockchain.addTransaction(Transaction.fromJSON(tx.toJSON()));
+    otherBlockchain.minePendingTransactions('minerB');
+    for (const block of otherBlockchain.chain.slice(2)) {
+      blockchain.addBlock(block.toJSON());
+    }
+    await storage.syncChain(blockchain);
+
+    expect(await storage.loadBlockByHash(oldBlock.hash)).toBeNull();
+    expect((await storage.loadTransaction(tx.id)).block.index).toBe(3);
+    expect((await storage.getAddressHistory('minerA')).entries).toEqual([]);
+    expect((await storage.getAddressHistory('receiver')).entries.map(entry => entry.block.index)).toEqual([3]);
+  });
+
+  test('存储尚未写入链重组时，查到的旧区块不应该被当作主链区块', async () => {
+    const otherBlockchain = Blockchain.fromJSON(blockchain.toJSON());
+    otherBlockchain.miningReward = blockchain.miningReward;
+    const tx = new Transaction(senderKeyPair.address, 'receiver', 10);
+    tx.signTransaction(senderKeyPair.privateKey);
+    blockchain.addTransaction(tx);
+    blockchain.minePendingTransactions('minerA');
+    await storage.syncChain(blockchain);
+    const stored = await storage.loadTransaction(tx.id);
+    expect(blockchain.isOnMainChain(stored.block)).toBe(true);
+
+    otherBlockchain.minePendingTransactions('minerB');
+    otherBlockchain.minePendingTransactions('minerB');
+    for (const block of otherBlockchain.chain.slice(2)) {
+      blockchain.addBlock(block.toJSON());
+    }
+
+    expect(blockchain.isOnMainChain(stored.block)).toBe(false);
+    expect(blockchain.isOnMainChain(await storage.loadBlockByHash(stored.block.hash))).toBe(false);
+  });
+
+  test('存储尚未写入链重组时，地址交易历史应该跳过已断开区块中的交易', async () => {
+    const otherBlockchain = Blockchain.fromJSON(blockchain.toJSON());
+    otherBlockchain.miningReward = blockchain.miningReward;
+    for (let nonce = 0; nonce < 2; nonce++) {
+      const tx = new Transaction(senderKeyPair.address, 'receiver', 1, 'regular', nonce);
+      tx.signTransaction(senderKeyPair.privateKey);
+      blockchain.addTransaction(tx);
+      blockchain.minePendingTransactions('minerA');
+    }
+    const kept = blockchain.chain[2];
+    await storage.syncChain(blockchain);
+
+    // 另一条分支从区块 #2 之后分叉，断开原来的区块 #3
+    otherBlockchain.addBlock(kept.toJSON());
+    otherBlockchain.minePendingTransactions('minerB');
+    otherBlockchain.minePendingTransactions('minerB');
+    for (const block of otherBlockchain.chain.slice(3)) {
+      blockchain.addBlock(block.toJSON());
+    }
+    expect(blockchain.getLatestBlock().hash).toBe(otherBlockchain.getLatestBlock().hash);
+
+    const history = await storage.getAddressHistory('receiver', { blockchain });
+    expect(history.entries.map(entry => entry.block.hash)).toEqual([kept.hash]);
+    expect(history.nextCursor).toBeNull();
+    const page = await storage.getAddressHistory('minerA', { blockchain, limit: 1 });
+    expect(page.entries.map(entry => entry.block.index)).toEqual([2]);
+    expect(page.nextCursor).toBeNull();
+
+    // 不传入区块链时按存储的索引返回
+    expect((await storage.getAddressHistory('receiver')).entries.length).toBe(2);
+  });
+
+  test('地址交易历史应该按时间顺序分页返回', async () => {
+    for (let nonce = 0; nonce < 3; nonce++) {
+      const tx = new Transaction(senderKeyPair.address, 'receiver', 1, 'regular', nonce);
+      tx.signTransaction(senderKeyPair.privateKey);
+      blockchain.addTransaction(tx);
+      blockchain.minePendingTransactions('receiver:other');
+    }
+    await storage.syncChain(blockchain);
+
+    const first = await storage.getAddressHistory(senderKeyPair.address, { limit: 2 });
+    expect(first.entries.map(entry => entry.transaction.type)).toEqual(['reward', 'regular']);
+    expect(first.nextCursor).toBe(`${first.entries[1].block.index}:${first.entries[1].position}`);
+
+    const second = await storage.getAddressHistory(senderKeyPair.address, { cursor: first.nextCursor, limit: 2 });
+    expect(second.entries.map(entry => entry.transaction.nonce)).toEqual([1, 2]);
+    expect(second.nextCursor).toBeNull();
+
+    // 前缀相同的地址 receiver:other 的交易不应该出现在 receiver 的历史中
+    const receiver = await storage.getAddressHistory('receiver');
+    expect(receiver.entries.map(entry => entry.transaction.toAddress)).toEqual(['receiver', 'receiver', 'receiver']);
+  });
+
+  test('加载没有索引的旧数据时应该重建索引', async () => {
+    await storage.syncChain(blockchain);
+    const legacyMetadata = { ...(await storage.db.get('metadata')) };
+    delete legacyMetadata.indexVersion;
+    await storage.db.put('metadata', legacyMetadata);
+    await storage.db.del(`hash:${blockchain.chain[1].hash}`);
+
+    await reopen();
+
+    expect((await storage.getMetadata()).indexVersion).toBe(1);
+    expect((await storage.loadBlockByHash(blockchain.chain[1].hash)).index).toBe(1);
+  });
+
+  test('按需加载时较早的区块只保留区块头，完整区块从存储读取', async () => {
+    const tx = new Transaction(senderKeyPair.address, 'receiver', 10);
+    tx.signTransaction(senderKeyPair.privateKey);
+    blockchain.addTransaction(tx);
+    for (let i = 0; i < 4; i++) {
+      blockchain.minePendingTransactions('minerAddress');
+    }
+    await storage.syncChain(blockchain);
+    await storage.close();
+
+    storage = openStorage();
+    const loaded = await storage.loadBlockchain({ recentBlocks: 2 });
+
+    expect(loaded.chain.map(block => block.hash)).toEqual(blockchain.chain.map(block => block.hash));
+    expect(loaded.chain.map(block => block.hasTransactions())).toEqual([true, false, false, false, true, true]);
+    expect(loaded.getBalanceOfAddress('minerAddress')).toBe(blockchain.getBalanceOfAddress('minerAddress'));
+
+    const block = await loaded.getBlock(2);
+    expect(block.transactions.map(blockTx => blockTx.id)).toContain(tx.id);
+    expect(await loaded.getBlock(2)).toBe(block);
+    expect((await loaded.loadChain()).map(full => full.toJSON())).toEqual(blockchain.toJSON());
+    expect(await loaded.isChainValid()).toBe(true);
+    expect(() => loaded.toJSON()).toThrow('主链较早的区块只保留了区块头，请使用 loadChain 获取完整区块');
+    expect(await loaded.getTransactionStatus(tx.id)).toEqual({ status: 'confirmed', blockIndex: 2, blockHash: block.hash });
+  });
+
+  test('按需加载的区块在存储中缺失时应该抛出明确的错误', async () => {
+    for (let i = 0; i < 4; i++) {
+      blockchain.minePendingTransactions('minerAddress');
+    }
+    await storage.syncChain(blockchain);
+    await storage.close();
+
+    storage = openStorage();
+    const loaded = await storage.loadBlockchain({ recentBlocks: 2 });
+    await storage.db.batch([{ type: 'del', key: 'block_2' }]);
+
+    await expect(loaded.getBlock(2)).rejects.toThrow('已保存的区块 #2 缺失或已损坏');
+
+    // 存储没有返回区块时同样报告缺失的区块
+    jest.spyOn(storage, 'loadBlock').mockResolvedValueOnce(null);
+    await expect(loaded.getBlock(3)).rejects.toThrow('存储中缺少区块 #3');
+  });
+
+  test('新区块连接后超出范围的区块应该只保留区块头，分叉点更早的分支被拒绝', async () => {
+    const otherBlockchain = Blockchain.fromJSON(blockchain.toJSON());
+    otherBlockchain.miningReward = blockchain.miningReward;
+    otherBlockchain.minePendingTransactions('minerB');
+
+    await storage.syncChain(blockchain);
+    blockchain.setBlockStore(storage, { recentBlocks: 2 });
+    for (let i = 0; i < 3; i++) {
+      blockchain.minePendingTransactions('minerA');
+      await storage.syncChain(blockchain);
+    }
+
+    expect(blockchain.chain.map(block => block.hasTransactions())).toEqual([true, false, false, true, true]);
+    expect(blockchain.addBlock(otherBlockchain.chain[2].toJSON())).toMatchObject({
+      status: BlockStatus.INVALID,
+      reason: ChainValidationReason.REORG_TOO_DEEP
+    });
+  });
+
+  test('保存失败时新连接的区块应该保留完整区块，下一次保存成功后再只保留区块头', async () => {
+    await storage.syncChain(blockchain);
+    blockchain.setBlockStore(storage, { recentBlocks: 2 });
+    jest.spyOn(storage.db, 'batch').mockRejectedValueOnce(new Error('磁盘已满'));
+    blockchain.minePendingTransactions('minerA');
+    await expect(storage.syncChain(blockchain)).rejects.toThrow('磁盘已满');
+    blockchain.minePendingTransactions('minerA');
+    blockchain.minePendingTransactions('minerA');
+
+    // 只有已保存的区块 #1 只保留区块头
+    expect(blockchain.chain.map(block => block.hasTransactions())).toEqual([true, false, true, true, true]);
+
+    await storage.syncChain(blockchain);
+    expect(blockchain.chain.map(block => block.hasTransactions())).toEqual([true, false, false, true, true]);
+    expect((await blockchain.loadChain()).map(block => block.hash)).toEqual(blockchain.chain.map(block => block.hash));
+    expect((await storage.getMetadata()).chainLength).toBe(5);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * 规范化序列化单元测试
+ * 测试规范化编码规则，以及交易哈希、签名和区块哈希的跨版本测试向量
+ */
+import { canonicalStringify } from '../utils/canonical.js';
+import { calculateHash, verifySignature } from '../utils/crypto.js';
+import { Transaction } from '../blockchain/transaction.js';
+import { Block } from '../blockchain/block.js';
+
+// 测试向量使用的固定私钥，签名按 RFC 6979 确定性生成，任何版本的客户端都应得到相同的结果
+const privateKey = '01'.repeat(32);
+
+const vector = {
+  address: 'cosmos79b000887626b294a914501a4cd226b58b235983',
+  publicKey: '031b84c5567b126440995d3ed5aaba0565d71e1834604819ff9c17f5e9d5dd078f',
+  transactionHash: 'f8a2e8d462d55cf83cd2c460565b2cd0f97471c26877e7578101bd742350c207',
+  signature: 'a436f34fa6b40a3967bfed9a34173828c17a23c8c2a0512726fe31eb0ce571c97b5a54eb758e317355c402761478f060a32bea608691faf8f569a2b10a612de4',
+  merkleRoot: '5b7b183354f7a7f5ac6def99a4ab3fd65b4defc412e79df6ee0b7f2ad0aa7294',
+  blockHash: 'f069a7e25cfc3a2b49f81ca16eebb57f4726c5ba868adab5d9b08996746ae853'
+};
+
+/**
+ * 创建测试向量中的转账交易
+ * @returns {Transaction} - 已签名的交易
+ */
+function createVectorTransaction() {
+  const tx = Transaction.fromJSON({
+    fromAddress: vector.address,
+    toAddress: 'cosmos0000000000000000000000000000000000000000',
+    amount: '25',
+    fee: '1',
+    nonce: 3,
+    timestamp: 1700000000000,
+    type: 'regular',
+    publicKey: null,
+    signature: null
+  });
+  tx.signTransaction(privateKey);
+  return tx;
+}
+
+/**
+ * 创建测试向量中的区块
+ * @returns {Block} - 区块
+ */
+function createVectorBlock() {
+  const reward = Transaction.fromJSON({
+    fromAddress: null,
+    toAddress: vector.address,
+    amount: '51',
+    fee: '0',
+    nonce: 1,
+    timestamp: 1700000000000,
+    type: 'reward',
+    publicKey: null,
+    signature: null
+  });
+  reward.updateId();
+
+  const block = new Block(1, 'a'.repeat(64), [reward, createVectorTransaction()], 0x200fffff, 'b'.repeat(64));
+  block.timestamp = 1700000001000;
+  block.nonce = 42;
+  block.hash = block.calculateHash();
+  return block;
+}
+
+// 测试编码规则
+describe('规范化编码测试', () => {
+  test('对象的键应该按顺序排列且不含空白', () => {
+    expect(canonicalStringify({ b: 1, a: [1, { d: null, c: 'x' }] })).toBe('{"a":[1,{"c":"x","d":null}],"b":1}');
+  });
+
+  test('输出应该与属性的插入顺序无关', () => {
+    const first = { id: 'tx1', amount: 10, fromAddress: 'alice' };
+    const second = { fromAddress: 'alice', id: 'tx1', amount: 10 };
+
+    expect(canonicalStringify(first)).toBe(canonicalStringify(second));
+    expect(calculateHash(first)).toBe(calculateHash(second));
+  });
+
+  test('值为undefined的键应该被省略', () => {
+    expect(canonicalStringify({ a: 1, b: undefined })).toBe('{"a":1}');
+  });
+
+  test('数字应该使用最短往返格式', () => {
+    expect(canonicalStringify([0.1, 1e21, -0, 100])).toBe('[0.1,1e+21,0,100]');
+  });
+
+  test('非有限数值和不支持的类型应该抛出错误', () => {
+    expect(() => canonicalStringify({ amount: NaN })).toThrow('无法规范化非有限数值');
+    expect(() => canonicalStringify({ amount: Infinity })).toThrow('无法规范化非有限数值');
+    expect(() => canonicalStringify({ callback: () => {} })).toThrow('无法规范化的数据类型');
+  });
+});
+
+// 测试跨版本测试向量
+describe('跨版本测试向量', () => {
+  test('交易哈希和签名应该与测试向量一致', () => {
+    const tx = createVectorTransaction();
+
+    expect(tx.publicKey).toBe(vector.publicKey);
+    expect(tx.calculateHash()).toBe(vector.transactionHash);
+    expect(tx.id).toBe(vector.transactionHash);
+    expect(tx.signature).toBe(vector.signature);
+    expect(verifySignature(vector.transactionHash, vector.signature, vector.publicKey)).toBe(true);
+  });
+
+  test('字段顺序不同的交易数据应该得到相同的哈希并通过验证', () => {
+    const data = createVectorTransaction().toJSON();
+    const reordered = Object.fromEntries(Object.entries(data).reverse());
+    const tx = Transaction.fromJSON(reordered);
+
+    expect(tx.calculateHash()).toBe(vector.transactionHash);
+    expect(tx.isValid()).toBe(true);
+  });
+
+  test('区块的默克尔根和哈希应该与测试向量一致', () => {
+    const block = createVectorBlock();
+
+    expect(block.merkleRoot).toBe(vector.merkleRoot);
+    expect(block.hash).toBe(vector.blockHash);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * LRU 缓存单元测试
+ * 测试容量限制和按最近访问顺序淘汰
+ */
+import { LRUCache } from '../utils/lruCache.js';
+
+describe('LRU 缓存测试', () => {
+  test('超出容量时应该淘汰最早写入的条目', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+
+    expect(cache.size).toBe(2);
+    expect(cache.has('a')).toBe(false);
+    expect(cache.get('b')).toBe(2);
+    expect(cache.get('c')).toBe(3);
+  });
+
+  test('读取或重新写入的条目应该变为最近访问', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+
+    cache.set('a', 4);
+    cache.set('d', 5);
+    expect(cache.get('a')).toBe(4);
+    expect(cache.has('c')).toBe(false);
+  });
+
+  test('不存在的键应该返回undefined，容量必须是正整数', () => {
+    const cache = new LRUCache(1);
+
+    expect(cache.get('missing')).toBeUndefined();
+    expect(() => new LRUCache(0)).toThrow('缓存容量必须是正整数');
+  });
+});
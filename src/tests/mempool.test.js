@@ -0,0 +1,468 @@
+/**
+ * 交易池单元测试
+ * 测试交易准入验证、容量限制与挤出、过期、替换和取消、查询，以及区块连接和链重组后的重新验证
+ */
+import { Mempool, MempoolRemovalReason, MempoolSort } from '../blockchain/mempool.js';
+import { Blockchain, BlockStatus } from '../blockchain/blockchain.js';
+import { AccountState } from '../blockchain/accountState.js';
+import { Transaction } from '../blockchain/transaction.js';
+import { Cancellation } from '../blockchain/cancellation.js';
+import { Wallet } from '../wallet/wallet.js';
+import { generateKeyPair } from '../utils/crypto.js';
+import { jest } from '@jest/globals';
+
+// 禁用控制台输出，使测试输出更清晰
+global.console.log = jest.fn();
+
+/**
+ * 创建一笔已签名的转账交易
+ * @param {Object} keyPair - 发送方密钥对
+ * @param {number} nonce - 交易序号
+ * @param {number} amount - 金额
+ * @param {number} fee - 手续费
+ * @returns {Transaction} - 已签名的交易
+ */
+function createTx(keyPair, nonce, amount = 10, fee = 1) {
+  const tx = new Transaction(keyPair.address, 'receiver', amount, 'regular', nonce, fee);
+  tx.signTransaction(keyPair.privateKey);
+  return tx;
+}
+
+/**
+ * 创建给指定地址充值后的账户状态
+ * @param {Array} keyPairs - 密钥对列表
+ * @param {number} balance - 每个地址的余额
+ * @returns {AccountState} - 账户状态
+ */
+function createState(keyPairs, balance = 100) {
+  const state = new AccountState();
+  for (const keyPair of keyPairs) {
+    state.applyTransaction(new Transaction(null, keyPair.address, balance, 'reward'));
+  }
+  return state;
+}
+
+// 测试交易准入
+describe('交易池准入测试', () => {
+  let alice;
+  let state;
+  let mempool;
+
+  beforeEach(() => {
+    alice = generateKeyPair();
+    state = createState([alice]);
+    mempool = new Mempool();
+  });
+
+  test('同一发送方的交易序号应该在池中连续递增', () => {
+    mempool.add(createTx(alice, 0), state);
+    mempool.add(createTx(alice, 1), state);
+
+    expect(mempool.size).toBe(2);
+    expect(mempool.getNextNonce(alice.address, state)).toBe(2);
+    expect(() => mempool.add(createTx(alice, 3), state)).toThrow('交易序号无效，期望 2，实际 3');
+  });
+
+  test('余额应该扣除池中已有交易的花费', () => {
+    mempool.add(createTx(alice, 0, 60, 0), state);
+
+    expect(mempool.getPendingSpend(alice.address)).toBe(60n);
+    expect(() => mempool.add(createTx(alice, 1, 40, 1), state)).toThrow('余额不足');
+    expect(mempool.size).toBe(1);
+  });
+
+  test('重复的交易和系统交易应该被拒绝', () => {
+    const tx = createTx(alice, 0);
+    mempool.add(tx, state);
+
+    expect(() => mempool.add(tx, state)).toThrow('交易已在待处理列表中');
+    expect(() => mempool.add(new Transaction(null, alice.address, 10, 'reward'), state)).toThrow(
+      '挖矿奖励和空交易不能加入待处理列表'
+    );
+  });
+});
+
+// 测试容量限制与挤出
+describe('交易池容量测试', () => {
+  let senders;
+  let state;
+
+  beforeEach(() => {
+    senders = [generateKeyPair(), generateKeyPair(), generateKeyPair()];
+    state = createState(senders);
+  });
+
+  test('交易池已满时应该挤出手续费率最低的交易', () => {
+    const mempool = new Mempool({ maxTransactions: 2 });
+    const removed = jest.fn();
+    mempool.on('removed', removed);
+
+    const lowFeeTx = createTx(senders[0], 0, 10, 1);
+    const midFeeTx = createTx(senders[1], 0, 10, 3);
+    const highFeeTx = createTx(senders[2], 0, 10, 5);
+    mempool.add(lowFeeTx, state);
+    mempool.add(midFeeTx, state);
+    mempool.add(highFeeTx, state);
+
+    expect(mempool.getTransactions()).toEqual([midFeeTx, highFeeTx]);
+    expect(removed).toHaveBeenCalledWith(lowFeeTx, MempoolRemovalReason.EVICTED);
+  });
+
+  test('手续费率不高于池中交易的新交易应该被拒绝', () => {
+    const mempool = new Mempool({ maxTransactions: 1 });
+    mempool.add(createTx(senders[0], 0, 10, 3), state);
+
+    expect(() => mempool.add(createTx(senders[1], 0, 10, 1), state)).toThrow('待处理列表已满，交易手续费率过低');
+    expect(mempool.size).toBe(1);
+  });
+
+  test('手续费率相同时应该挤出最早加入的交易', () => {
+    const mempool = new Mempool({ maxTransactions: 2 });
+    const firstTx = createTx(senders[0], 0, 10, 1);
+    const secondTx = createTx(senders[1], 0, 10, 1);
+    mempool.add(firstTx, state, 1000);
+    mempool.add(secondTx, state, 2000);
+    mempool.add(createTx(senders[2], 0, 10, 5), state, 3000);
+
+    expect(mempool.has(firstTx.id)).toBe(false);
+    expect(mempool.has(secondTx.id)).toBe(true);
+  });
+
+  test('只应该挤出发送方序号最大的交易，保证剩余交易序号连续', () => {
+    const mempool = new Mempool({ maxTransactions: 2 });
+    const firstTx = createTx(senders[0], 0, 10, 1);
+    const secondTx = createTx(senders[0], 1, 10, 2);
+    mempool.add(firstTx, state);
+    mempool.add(secondTx, state);
+    mempool.add(createTx(senders[1], 0, 10, 5), state);
+
+    expect(mempool.has(firstTx.id)).toBe(true);
+    expect(mempool.has(secondTx.id)).toBe(false);
+  });
+
+  test('总字节数应该受容量限制', () => {
+    const tx = createTx(senders[0], 0);
+    const mempool = new Mempool({ maxSize: tx.getSize() });
+    mempool.add(tx, state);
+
+    expect(mempool.bytes).toBe(tx.getSize());
+    expect(() => mempool.add(createTx(senders[1], 0), state)).toThrow('待处理列表已满，交易手续费率过低');
+  });
+});
+
+// 测试过期
+describe('交易池过期测试', () => {
+  test('过期的交易及同一发送方的后续交易应该被移除', () => {
+    const alice = generateKeyPair();
+    const bob = generateKeyPair();
+    const state = createState([alice, bob]);
+    const mempool = new Mempool({ expiryTime: 1000 });
+    const removed = jest.fn();
+    mempool.on('removed', removed);
+
+    const staleTx = createTx(alice, 0);
+    const laterTx = createTx(alice, 1);
+    const bobTx = createTx(bob, 0);
+    mempool.add(staleTx, state, 0);
+    mempool.add(laterTx, state, 900);
+    mempool.add(bobTx, state, 900);
+    mempool.expire(1500);
+
+    expect(mempool.getTransactions()).toEqual([bobTx]);
+    expect(removed).toHaveBeenCalledWith(staleTx, MempoolRemovalReason.EXPIRED);
+    expect(removed).toHaveBeenCalledWith(laterTx, MempoolRemovalReason.INVALID);
+  });
+});
+
+// 测试区块连接与链重组后的重新验证
+describe('交易池重新验证测试', () => {
+  let blockchain;
+  let alice;
+
+  beforeEach(() => {
+    blockchain = new Blockchain(1, 50);
+    alice = generateKeyPair();
+    blockchain.minePendingTransactions(alice.address);
+  });
+
+  test('打包后应该移除已确认的交易并保留后续交易', () => {
+    blockchain.maxBlockTransactions = 2;
+    blockchain.addTransaction(createTx(alice, 0));
+    const nextTx = createTx(alice, 1);
+    blockchain.addTransaction(nextTx);
+
+    blockchain.minePendingTransactions('minerAddress');
+
+    expect(blockchain.pendingTransactions).toEqual([nextTx]);
+    expect(blockchain.getNextNonce(alice.address)).toBe(2);
+  });
+
+  test('其他节点的区块使池中交易失效时应该移除', () => {
+    const other = Blockchain.fromJSON(blockchain.toJSON());
+    other.miningReward = blockchain.miningReward;
+    other.addTransaction(createTx(alice, 0, 45, 0));
+    const block = other.minePendingTransactions('minerB');
+
+    // 本地池中同一序号的另一笔交易在新区块连接后序号已被占用
+    const conflictingTx = createTx(alice, 0, 20, 1);
+    blockchain.addTransaction(conflictingTx);
+    const removed = jest.fn();
+    blockchain.mempool.on('removed', removed);
+    expect(blockchain.addBlock(block.toJSON()).status).toBe(BlockStatus.EXTENDED);
+
+    expect(blockchain.pendingTransactions).toEqual([]);
+    expect(removed).toHaveBeenCalledWith(conflictingTx, MempoolRemovalReason.INVALID);
+  });
+
+  test('冒用待处理交易ID的区块应该被拒绝，原交易留在交易池中', async () => {
+    const bob = generateKeyPair();
+    blockchain.minePendingTransactions(bob.address);
+    const other = Blockchain.fromJSON(blockchain.toJSON());
+    other.miningReward = blockchain.miningReward;
+
+    const aliceTx = createTx(alice, 0);
+    blockchain.addTransaction(aliceTx);
+
+    // Bob 签名自己的交易后改用 Alice 的交易ID，自己打包进区块
+    const bobTx = createTx(bob, 0);
+    bobTx.id = aliceTx.id;
+    const block = other.createBlockTemplate('minerB', [bobTx]);
+    block.mineBlock();
+
+    expect(blockchain.addBlock(block.toJSON()).status).toBe(BlockStatus.INVALID);
+    expect(blockchain.mempool.has(aliceTx.id)).toBe(true);
+    expect((await blockchain.getTransactionStatus(aliceTx.id)).status).toBe('pending');
+  });
+
+  test('链重组放回的交易应该按序号排在发送方已有交易之前', () => {
+    const mempool = new Mempool();
+    const state = createState([alice]);
+    const confirmedTx = createTx(alice, 0);
+    const stateAfterBlock = state.clone();
+    stateAfterBlock.applyTransaction(confirmedTx);
+    const pendingTx = createTx(alice, 1);
+    mempool.add(pendingTx, stateAfterBlock);
+
+    mempool.restore([confirmedTx]);
+    expect(mempool.getTransactionsFrom(alice.address)).toEqual([confirmedTx, pendingTx]);
+
+    mempool.revalidate(state);
+    expect(mempool.size).toBe(2);
+    expect(mempool.getPendingSpend(alice.address)).toBe(22n);
+  });
+
+  test('待处理列表不能被直接替换', () => {
+    expect(() => {
+      blockchain.pendingTransactions = [];
+    }).toThrow(TypeError);
+  });
+});
+
+// 测试按手续费替换交易
+describe('交易替换测试', () => {
+  let alice;
+  let state;
+  let mempool;
+
+  beforeEach(() => {
+    alice = generateKeyPair();
+    state = createState([alice], 10000);
+    mempool = new Mempool();
+  });
+
+  test('同一序号且加价足够的交易应该替换原交易', () => {
+    const removed = jest.fn();
+    mempool.on('removed', removed);
+    const originalTx = createTx(alice, 0, 10, 1);
+    const laterTx = createTx(alice, 1, 10, 1);
+    mempool.add(originalTx, state);
+    mempool.add(laterTx, state);
+
+    const replacementTx = createTx(alice, 0, 10, 1000);
+    mempool.add(replacementTx, state);
+
+    expect(mempool.has(originalTx.id)).toBe(false);
+    expect(mempool.getTransactionsFrom(alice.address)).toEqual([replacementTx, laterTx]);
+    expect(mempool.getNextNonce(alice.address, state)).toBe(2);
+    expect(removed).toHaveBeenCalledWith(originalTx, MempoolRemovalReason.REPLACED);
+  });
+
+  test('手续费增加不足转发费用的替换应该被拒绝', () => {
+    const originalTx = createTx(alice, 0, 10, 3);
+    mempool.add(originalTx, state);
+
+    expect(() => mempool.add(createTx(alice, 0, 5, 3), state)).toThrow('替换交易的手续费至少为');
+
+    // 只加价 1 个基本单位
+    expect(() => mempool.add(createTx(alice, 0, 10, 4), state)).toThrow('替换交易的手续费至少为');
+
+    // 交易约 460 字节，加价 300 个基本单位不足以支付转发费用
+    expect(() => mempool.add(createTx(alice, 0, 10, 303), state)).toThrow('替换交易的手续费至少为');
+    expect(mempool.getTransactions()).toEqual([originalTx]);
+  });
+
+  test('手续费率没有提高至少 10% 的替换应该被拒绝', () => {
+    const noRelayFeeMempool = new Mempool({ incrementalFeeRate: 0n });
+    const originalTx = createTx(alice, 0, 10, 1000);
+    noRelayFeeMempool.add(originalTx, state);
+
+    expect(() => noRelayFeeMempool.add(createTx(alice, 0, 10, 1050), state)).toThrow(
+      '替换交易的手续费率必须比原交易高至少 10%'
+    );
+
+    const replacementTx = createTx(alice, 0, 10, 1100);
+    noRelayFeeMempool.add(replacementTx, state);
+    expect(noRelayFeeMempool.getTransactions()).toEqual([replacementTx]);
+  });
+
+  test('余额检查不应该计入被替换交易的花费', () => {
+    mempool.add(createTx(alice, 0, 8000, 1), state);
+    const replacementTx = createTx(alice, 0, 8500, 1000);
+    mempool.add(replacementTx, state);
+
+    expect(mempool.getPendingSpend(alice.address)).toBe(9500n);
+    expect(() => mempool.add(createTx(alice, 0, 8500, 2000), state)).toThrow('余额不足');
+  });
+
+  test('替换交易不应该因交易池已满被拒绝', () => {
+    const fullMempool = new Mempool({ maxTransactions: 1 });
+    fullMempool.add(createTx(alice, 0, 10, 1), state);
+    const replacementTx = createTx(alice, 0, 10, 1000);
+    fullMempool.add(replacementTx, state);
+
+    expect(fullMempool.getTransactions()).toEqual([replacementTx]);
+  });
+});
+
+// 测试签名取消交易
+describe('交易取消测试', () => {
+  let blockchain;
+  let alice;
+  let wallet;
+
+  beforeEach(() => {
+    blockchain = new Blockchain(1, 50);
+    alice = generateKeyPair();
+    wallet = new Wallet(alice.privateKey);
+    blockchain.minePendingTransactions(alice.address);
+  });
+
+  test('发送方签名的取消请求应该撤回交易及其后续交易', () => {
+    const tx = createTx(alice, 0);
+    const laterTx = createTx(alice, 1);
+    blockchain.addTransaction(tx);
+    blockchain.addTransaction(laterTx);
+    const cancelled = jest.fn();
+    blockchain.on('transactionCancelled', cancelled);
+
+    const cancellation = wallet.createCancellation(tx.id);
+    expect(blockchain.cancelTransaction(Cancellation.fromJSON(cancellation.toJSON()))).toBe(tx);
+
+    expect(blockchain.pendingTransactions).toEqual([]);
+    expect(blockchain.getNextNonce(alice.address)).toBe(0);
+    expect(cancelled).toHaveBeenCalledTimes(1);
+
+    // 其他节点转发来的原交易不能重新加入
+    expect(() => blockchain.addTransaction(tx)).toThrow('交易已被发送方取消');
+  });
+
+  test('其他账户不能取消交易', () => {
+    const tx = createTx(alice, 0);
+    blockchain.addTransaction(tx);
+    const attacker = new Wallet(generateKeyPair().privateKey);
+
+    expect(() => blockchain.cancelTransaction(attacker.createCancellation(tx.id))).toThrow(
+      '只有交易的发送方可以取消交易'
+    );
+
+    // 冒充发送方地址的取消请求签名无效
+    const forged = attacker.createCancellation(tx.id);
+    forged.fromAddress = alice.address;
+    expect(() => blockchain.cancelTransaction(forged)).toThrow('取消请求签名无效或公钥与发送方地址不匹配');
+    expect(blockchain.pendingTransactions).toEqual([tx]);
+  });
+});
+
+// 测试交易池查询与交易状态
+describe('交易池查询测试', () => {
+  let senders;
+  let state;
+  let mempool;
+  let transactions;
+
+  beforeEach(() => {
+    senders = [generateKeyPair(), generateKeyPair(), generateKeyPair()];
+    state = createState(senders);
+    mempool = new Mempool();
+    transactions = [createTx(senders[0], 0, 10, 1), createTx(senders[1], 0, 10, 5), createTx(senders[2], 0, 10, 3)];
+    transactions.forEach((tx, index) => mempool.add(tx, state, 1000 * (index + 1)));
+  });
+
+  test('应该按手续费率或加入时间排序并分页', () => {
+    const byFee = mempool.query({ sort: MempoolSort.FEE });
+    expect(byFee.entries.map((entry) => entry.transaction)).toEqual([transactions[1], transactions[2], transactions[0]]);
+
+    const byAge = mempool.query({ sort: MempoolSort.AGE, offset: 1, limit: 1 });
+    expect(byAge.total).toBe(3);
+    expect(byAge.entries.map((entry) => entry.transaction)).toEqual([transactions[1]]);
+    expect(byAge.entries[0].addedAt).toBe(2000);
+  });
+
+  test('应该按发送方和接收方筛选', () => {
+    expect(mempool.query({ sender: senders[2].address }).entries.map((entry) => entry.transaction)).toEqual([
+      transactions[2]
+    ]);
+    expect(mempool.query({ recipient: 'receiver' }).total).toBe(3);
+    expect(mempool.query({ recipient: senders[0].address }).total).toBe(0);
+  });
+
+  test('统计信息应该包含交易数和总字节数', () => {
+    const stats = mempool.getStats();
+
+    expect(stats.size).toBe(3);
+    expect(stats.bytes).toBe(transactions.reduce((sum, tx) => sum + tx.getSize(), 0));
+  });
+
+  test('应该记录交易被移出交易池的原因', () => {
+    mempool.remove(transactions[0].id, MempoolRemovalReason.EVICTED);
+
+    expect(mempool.getStatus(transactions[1].id)).toEqual({ status: 'pending', addedAt: 2000 });
+    expect(mempool.getStatus(transactions[0].id)).toMatchObject({
+      status: 'rejected',
+      reason: MempoolRemovalReason.EVICTED
+    });
+    expect(mempool.getStatus('unknown')).toBeNull();
+  });
+
+  test('区块链应该报告已打包、等待打包和被拒绝的交易状态', async () => {
+    const blockchain = new Blockchain(1, 50);
+    const alice = generateKeyPair();
+    blockchain.minePendingTransactions(alice.address);
+
+    const confirmedTx = createTx(alice, 0);
+    blockchain.addTransaction(confirmedTx);
+    const block = blockchain.minePendingTransactions('minerAddress');
+
+    const pendingTx = createTx(alice, 1);
+    blockchain.addTransaction(pendingTx);
+
+    const rejectedTx = createTx(alice, 5);
+    expect(() => blockchain.addTransaction(rejectedTx)).toThrow('交易序号无效');
+
+    expect(await blockchain.getTransactionStatus(confirmedTx.id)).toEqual({
+      status: 'confirmed',
+      blockIndex: block.index,
+      blockHash: block.hash
+    });
+    expect((await blockchain.getTransactionStatus(pendingTx.id)).status).toBe('pending');
+    expect(await blockchain.getTransactionStatus(rejectedTx.id)).toMatchObject({
+      status: 'rejected',
+      reason: MempoolRemovalReason.REJECTED,
+      message: '交易序号无效，期望 2，实际 5'
+    });
+
+    // 重复提交池中已有的交易不改变它的状态
+    expect(() => blockchain.addTransaction(pendingTx)).toThrow('交易已在待处理列表中');
+    expect((await blockchain.getTransactionStatus(pendingTx.id)).status).toBe('pending');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * 多线程挖矿单元测试
+ * 测试工作线程挖矿、取消和算力统计
+ */
+import { Miner, MAX_MINING_THREADS } from '../mining/miner.js';
+import { Block } from '../blockchain/block.js';
+import { Blockchain } from '../blockchain/blockchain.js';
+import { difficultyToBits } from '../utils/target.js';
+
+// 目标值为1，实际上不可能挖到
+const impossibleBits = 0x03000001;
+
+// 测试工作线程挖矿
+describe('工作线程挖矿测试', () => {
+  test('应该在工作线程中找到满足目标值的哈希', async () => {
+    const miner = new Miner({ threads: 1 });
+    const block = new Block(1, 'prev123', [], difficultyToBits(2));
+
+    await expect(miner.mine(block)).resolves.toBe(true);
+    expect(block.isValid()).toBe(true);
+    expect(miner.getStats()).toMatchObject({ threads: 1, isRunning: false, blocksFound: 1 });
+    expect(miner.getStats().totalHashes).toBeGreaterThan(0);
+    expect(miner.getStats().hashRate).toBeGreaterThan(0);
+  });
+
+  test('取消信号触发后应该结束工作线程', async () => {
+    const miner = new Miner();
+    const controller = new AbortController();
+    const block = new Block(1, 'prev123', [], impossibleBits);
+
+    const mining = miner.mine(block, { signal: controller.signal });
+    expect(miner.getStats().isRunning).toBe(true);
+    controller.abort();
+
+    await expect(mining).resolves.toBe(false);
+    expect(miner.getStats().isRunning).toBe(false);
+    expect(miner.getStats().blocksFound).toBe(0);
+  });
+
+  test('已取消的信号应该直接返回', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const block = new Block(1, 'prev123', [], impossibleBits);
+    await expect(new Miner().mine(block, { signal: controller.signal })).resolves.toBe(false);
+  });
+
+  test('线程数超出范围时应该抛出错误', () => {
+    const miner = new Miner();
+
+    expect(() => miner.setThreads(0)).toThrow('挖矿线程数必须是');
+    expect(() => miner.setThreads(MAX_MINING_THREADS + 1)).toThrow('挖矿线程数必须是');
+    expect(() => miner.setThreads(1.5)).toThrow('挖矿线程数必须是');
+  });
+
+  test('区块链应该能够使用矿工挖掘下一个区块', async () => {
+    const blockchain = new Blockchain(2);
+
+    const block = await blockchain.mineNextBlock('minerAddress', { miner: new Miner() });
+    expect(blockchain.getLatestBlock()).toBe(block);
+    expect(await blockchain.isChainValid()).toBe(true);
+  });
+});
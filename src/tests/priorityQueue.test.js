@@ -0,0 +1,36 @@
+/**
+ * 优先队列单元测试
+ * 测试按比较函数取出优先级最高的元素
+ */
+import { PriorityQueue } from '../utils/priorityQueue.js';
+
+describe('优先队列测试', () => {
+  test('应该按优先级从高到低取出元素', () => {
+    const queue = new PriorityQueue((a, b) => a - b);
+    for (const value of [5, 1, 8, 3, 9, 2, 7]) {
+      queue.push(value);
+    }
+
+    expect(queue.size).toBe(7);
+    expect(queue.peek()).toBe(9);
+
+    const values = [];
+    while (queue.size > 0) {
+      values.push(queue.pop());
+    }
+    expect(values).toEqual([9, 8, 7, 5, 3, 2, 1]);
+  });
+
+  test('取出后插入的元素应该参与排序，空队列应该返回undefined', () => {
+    const queue = new PriorityQueue((a, b) => b.rank - a.rank);
+    queue.push({ rank: 3 });
+    queue.push({ rank: 1 });
+
+    expect(queue.pop().rank).toBe(1);
+    queue.push({ rank: 2 });
+    expect(queue.pop().rank).toBe(2);
+    expect(queue.pop().rank).toBe(3);
+    expect(queue.pop()).toBeUndefined();
+    expect(queue.peek()).toBeUndefined();
+  });
+});
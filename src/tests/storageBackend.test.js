@@ -0,0 +1,111 @@
+/**
+ * 存储后端单元测试
+ * 测试内存和 JSON 文件存储的读写语义、文件持久化和后端选择
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StorageBackend, createStore } from '../storage/storageBackend.js';
+import { MemoryStore } from '../storage/memoryStore.js';
+import { JsonFileStore } from '../storage/jsonFileStore.js';
+import { jest } from '@jest/globals';
+
+describe('存储后端测试', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-backend-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('内存存储应该返回值的副本并按字典序遍历范围内的键', async () => {
+    const store = new MemoryStore();
+    const value = { height: 1 };
+    await store.batch([
+      { type: 'put', key: 'b', value },
+      { type: 'put', key: 'a:2', value: 2 },
+      { type: 'put', key: 'a:1', value: 1 }
+    ]);
+    value.height = 2;
+
+    expect(await store.get('b')).toEqual({ height: 1 });
+    await expect(store.get('missing')).rejects.toMatchObject({ code: 'LEVEL_NOT_FOUND' });
+
+    const keys = [];
+    for await (const key of store.keys({ gt: 'a:1', lt: 'a:\xff' })) {
+      keys.push(key);
+    }
+    expect(keys).toEqual(['a:2']);
+  });
+
+  test('内存存储的批量操作应该直接修改数据，编码失败时不修改任何数据', async () => {
+    const store = new MemoryStore();
+    const entries = store.entries;
+    await store.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'put', key: 'b', value: 2 }
+    ]);
+    expect(store.entries).toBe(entries);
+
+    await expect(store.batch([
+      { type: 'del', key: 'a' },
+      { type: 'put', key: 'b', value: 1n }
+    ])).rejects.toThrow();
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBe(2);
+  });
+
+  test('JSON 文件存储每个批量操作只写入一次文件，写入失败时恢复被修改的键', async () => {
+    const filePath = path.join(dir, 'blockchain.json');
+    const store = new JsonFileStore(filePath);
+    await store.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'put', key: 'b', value: 2 }
+    ]);
+
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+    await store.batch([
+      { type: 'put', key: 'a', value: 3 },
+      { type: 'put', key: 'c', value: 4 },
+      { type: 'del', key: 'b' }
+    ]);
+    expect(writeFile).toHaveBeenCalledTimes(1);
+    writeFile.mockRestore();
+
+    jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('磁盘已满'));
+    await expect(store.batch([
+      { type: 'put', key: 'a', value: 5 },
+      { type: 'put', key: 'b', value: 6 },
+      { type: 'del', key: 'c' },
+      { type: 'put', key: 'a', value: 7 }
+    ])).rejects.toThrow('磁盘已满');
+    expect(await store.get('a')).toBe(3);
+    await expect(store.get('b')).rejects.toMatchObject({ code: 'LEVEL_NOT_FOUND' });
+    expect(await store.get('c')).toBe(4);
+    await store.close();
+  });
+
+  test('JSON 文件存储应该在重新打开后保留数据，写入文件失败时保持原来的数据', async () => {
+    const filePath = path.join(dir, 'blockchain.json');
+    const store = new JsonFileStore(filePath);
+    await store.put('metadata', { chainLength: 1 });
+    await store.close();
+
+    const reopened = new JsonFileStore(filePath);
+    expect(await reopened.get('metadata')).toEqual({ chainLength: 1 });
+
+    jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('磁盘已满'));
+    await expect(reopened.batch([{ type: 'put', key: 'metadata', value: { chainLength: 2 } }])).rejects.toThrow('磁盘已满');
+    expect(await reopened.get('metadata')).toEqual({ chainLength: 1 });
+    expect(await new JsonFileStore(filePath).get('metadata')).toEqual({ chainLength: 1 });
+  });
+
+  test('应该按名称创建存储后端，不支持的后端抛出错误', () => {
+    expect(createStore(StorageBackend.MEMORY)).toBeInstanceOf(MemoryStore);
+    expect(createStore(StorageBackend.JSON, path.join(dir, 'blockchain.json'))).toBeInstanceOf(JsonFileStore);
+    expect(() => createStore('sqlite', dir)).toThrow('不支持的存储后端: sqlite');
+  });
+});
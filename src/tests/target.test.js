@@ -0,0 +1,85 @@
+/**
+ * 挖矿目标值单元测试
+ * 测试紧凑格式编解码、哈希比较和工作量计算
+ */
+import {
+  MAX_BITS,
+  MAX_TARGET,
+  bitsToDifficulty,
+  bitsToTarget,
+  bitsToWork,
+  difficultyToBits,
+  hashMeetsTarget,
+  targetToBits
+} from '../utils/target.js';
+
+// 测试紧凑格式编解码
+describe('紧凑格式测试', () => {
+  test('应该按比特币规则解码紧凑格式', () => {
+    expect(bitsToTarget(0x1d00ffff)).toBe(0xffffn << 208n);
+    expect(bitsToTarget(0x03123456)).toBe(0x123456n);
+    expect(bitsToTarget(0x02123456)).toBe(0x1234n);
+  });
+
+  test('编码后再解码应该得到相同的紧凑格式', () => {
+    for (const bits of [MAX_BITS, 0x1d00ffff, 0x1b0404cb, 0x03123456]) {
+      expect(targetToBits(bitsToTarget(bits))).toBe(bits);
+    }
+  });
+
+  test('尾数最高位被占用时应该进位到下一个字节', () => {
+    expect(targetToBits(0x800000n)).toBe(0x04008000);
+  });
+
+  test('符号位被置位或为0的紧凑格式应该无效', () => {
+    expect(bitsToTarget(0x04923456)).toBe(0n);
+    expect(bitsToTarget(0)).toBe(0n);
+    expect(targetToBits(0n)).toBe(0);
+  });
+});
+
+// 测试旧版难度兼容
+describe('旧版难度转换测试', () => {
+  test('旧版难度应该对应相同数量的十六进制前导0', () => {
+    const target = bitsToTarget(difficultyToBits(3));
+    expect(target < 1n << 244n).toBe(true);
+    expect(target > 1n << 243n).toBe(true);
+  });
+
+  test('旧版难度1和0都不应该超过最低难度', () => {
+    expect(difficultyToBits(1)).toBe(MAX_BITS);
+    expect(difficultyToBits(0)).toBe(MAX_BITS);
+  });
+
+  test('无效的旧版难度应该转换为无效的目标值', () => {
+    expect(difficultyToBits(1.5)).toBe(0);
+    expect(difficultyToBits(-1)).toBe(0);
+  });
+});
+
+// 测试哈希比较与工作量
+describe('目标值比较测试', () => {
+  const bits = difficultyToBits(2);
+
+  test('哈希按数值与目标值比较', () => {
+    expect(hashMeetsTarget('00fe' + 'f'.repeat(60), bits)).toBe(true);
+    expect(hashMeetsTarget('01' + '0'.repeat(62), bits)).toBe(false);
+  });
+
+  test('格式错误的哈希不满足任何目标值', () => {
+    expect(hashMeetsTarget('0'.repeat(63), MAX_BITS)).toBe(false);
+    expect(hashMeetsTarget('175,34,10', MAX_BITS)).toBe(false);
+  });
+
+  test('目标值减半时工作量和难度应该翻倍', () => {
+    const halfBits = targetToBits(bitsToTarget(bits) / 2n);
+
+    expect(bitsToWork(halfBits)).toBe(bitsToWork(bits) * 2n);
+    expect(bitsToDifficulty(halfBits)).toBeCloseTo(bitsToDifficulty(bits) * 2);
+  });
+
+  test('最低难度的难度值应该为1', () => {
+    expect(bitsToDifficulty(MAX_BITS)).toBe(1);
+    expect(bitsToTarget(MAX_BITS)).toBe(MAX_TARGET);
+  });
+});
@@ -12,8 +12,10 @@ describe('交易创建测试', () => {
     
     expect(tx.fromAddress).toBe('sender123');
     expect(tx.toAddress).toBe('receiver456');
-    expect(tx.amount).toBe(10);
+    expect(tx.amount).toBe(10n);
     expect(tx.type).toBe('regular');
+    expect(tx.nonce).toBe(0);
+    expect(tx.fee).toBe(0n);
     expect(tx.id).toBeDefined();
     expect(tx.timestamp).toBeDefined();
     expect(tx.signature).toBeNull();
@@ -24,7 +26,7 @@ describe('交易创建测试', () => {
     
     expect(tx.fromAddress).toBeNull();
     expect(tx.toAddress).toBe('miner789');
-    expect(tx.amount).toBe(50);
+    expect(tx.amount).toBe(50n);
     expect(tx.type).toBe('reward');
   });
 });
@@ -89,12 +91,54 @@ describe('交易验证测试', () => {
     tx.signTransaction(keyPair.privateKey);
     
     // 篡改交易数据
-    tx.amount = 100;
+    tx.amount = 100n;
     
     // 验证交易
     expect(tx.isValid(keyPair.publicKey)).toBe(false);
   });
   
+  test('篡改交易序号应该验证失败', () => {
+    const keyPair = generateKeyPair();
+    const tx = new Transaction(keyPair.address, 'receiver456', 10, 'regular', 1);
+    tx.signTransaction(keyPair.privateKey);
+    
+    // 序号参与签名，修改后签名失效
+    tx.nonce = 2;
+    
+    expect(tx.isValid()).toBe(false);
+  });
+  
+  test('篡改手续费应该验证失败', () => {
+    const keyPair = generateKeyPair();
+    const tx = new Transaction(keyPair.address, 'receiver456', 10, 'regular', 0, 1);
+    tx.signTransaction(keyPair.privateKey);
+    
+    tx.fee = 0n;
+    
+    expect(tx.isValid()).toBe(false);
+  });
+  
+  test('公钥与发送方地址不匹配的交易应该验证失败', () => {
+    const keyPair = generateKeyPair();
+    const attacker = generateKeyPair();
+    const tx = new Transaction(attacker.address, 'receiver456', 10);
+    tx.signTransaction(attacker.privateKey);
+    
+    // 把发送方改成别人的地址，签名和公钥都来自攻击者
+    tx.fromAddress = keyPair.address;
+    
+    expect(tx.isValid()).toBe(false);
+  });
+  
+  test('缺少公钥的交易应该验证失败', () => {
+    const keyPair = generateKeyPair();
+    const tx = new Transaction(keyPair.address, 'receiver456', 10);
+    tx.signTransaction(keyPair.privateKey);
+    tx.publicKey = null;
+    
+    expect(() => tx.isValid()).toThrow('没有找到发送方公钥');
+  });
+  
   test('挖矿奖励交易应该始终有效', () => {
     const tx = new Transaction(null, 'miner789', 50, 'reward');
     
@@ -124,8 +168,40 @@ describe('交易序列化测试', () => {
     expect(restoredTx.fromAddress).toBe(originalTx.fromAddress);
     expect(restoredTx.toAddress).toBe(originalTx.toAddress);
     expect(restoredTx.amount).toBe(originalTx.amount);
+    expect(restoredTx.nonce).toBe(originalTx.nonce);
+    expect(restoredTx.fee).toBe(originalTx.fee);
     expect(restoredTx.timestamp).toBe(originalTx.timestamp);
     expect(restoredTx.type).toBe(originalTx.type);
+    expect(restoredTx.publicKey).toBe(originalTx.publicKey);
     expect(restoredTx.signature).toBe(originalTx.signature);
+    expect(restoredTx.isValid()).toBe(true);
+  });
+  
+  test('金额和手续费应该序列化为基本单位的十进制字符串', () => {
+    const tx = new Transaction('sender123', 'receiver456', 12345678901234567890n, 'regular', 0, 3);
+    const txJSON = tx.toJSON();
+    
+    expect(txJSON.amount).toBe('12345678901234567890');
+    expect(txJSON.fee).toBe('3');
+    expect(Transaction.fromJSON(txJSON).amount).toBe(12345678901234567890n);
+  });
+  
+  test('旧版以代币为单位的数字金额应该换算为基本单位', () => {
+    const tx = Transaction.fromJSON({
+      id: 'legacy',
+      fromAddress: null,
+      toAddress: 'miner789',
+      amount: 50,
+      timestamp: 1621500000000,
+      type: 'reward',
+      signature: null
+    });
+    
+    expect(tx.amount).toBe(5000000000n);
+    expect(tx.fee).toBe(0n);
+  });
+  
+  test('非整数的金额应该被拒绝', () => {
+    expect(() => new Transaction('sender123', 'receiver456', 0.1)).toThrow('金额必须是以基本单位表示的整数');
   });
 });
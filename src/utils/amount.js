@@ -0,0 +1,86 @@
+/**
+ * 金额工具模块
+ * 链上所有金额（交易金额、手续费、余额、挖矿奖励）都是以基本单位表示的整数（BigInt），
+ * 序列化时编码为十进制字符串，避免浮点数累加产生舍入误差。
+ * 带小数的可读金额只在 API 和命令行工具的边界处与基本单位互相转换：1 个代币 = 10^decimals 个基本单位
+ */
+
+// 默认代币名称
+export const DEFAULT_DENOMINATION = 'COSMOS';
+
+// 默认小数位数
+export const DEFAULT_DECIMALS = 8;
+
+/**
+ * 把以基本单位表示的金额转换为 BigInt
+ * @param {bigint|number|string} value - 基本单位金额：BigInt、安全整数或十进制整数字符串
+ * @returns {bigint} - 基本单位金额
+ */
+export function toBaseUnits(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    return BigInt(value);
+  }
+  if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  throw new Error(`金额必须是以基本单位表示的整数: ${value}`);
+}
+
+/**
+ * 把可读金额解析为基本单位，小数位数超过精度时拒绝而不是舍入
+ * @param {string|number} value - 可读金额，例如 "12.5"
+ * @param {number} decimals - 小数位数
+ * @returns {bigint} - 基本单位金额
+ */
+export function parseAmount(value, decimals = DEFAULT_DECIMALS) {
+  const text = String(value).trim();
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) {
+    throw new Error(`金额格式无效: ${value}`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`金额最多只能有 ${decimals} 位小数: ${value}`);
+  }
+
+  return BigInt(whole + fraction.padEnd(decimals, '0'));
+}
+
+/**
+ * 把基本单位金额格式化为可读金额，省略小数部分末尾的0
+ * @param {bigint} units - 基本单位金额
+ * @param {number} decimals - 小数位数
+ * @returns {string} - 可读金额，例如 "12.5"
+ */
+export function formatAmount(units, decimals = DEFAULT_DECIMALS) {
+  const value = toBaseUnits(units);
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return fraction ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+}
+
+/**
+ * 读取序列化数据中的金额：字符串是基本单位；数字来自旧版本的数据，
+ * 旧版本以代币为单位保存 JavaScript 浮点数，按链的小数位数换算为基本单位，超出精度的浮点误差被舍入
+ * @param {string|number} value - 序列化的金额
+ * @param {number} decimals - 链的小数位数
+ * @returns {bigint} - 基本单位金额
+ */
+export function amountFromJSON(value, decimals = DEFAULT_DECIMALS) {
+  if (typeof value !== 'number') {
+    return toBaseUnits(value);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error(`金额格式无效: ${value}`);
+  }
+
+  const units = parseAmount(Math.abs(value).toFixed(decimals), decimals);
+  return value < 0 ? -units : units;
+}
@@ -0,0 +1,52 @@
+/**
+ * 规范化序列化模块
+ * 哈希和签名的输入必须与属性的插入顺序无关，否则不同客户端对同一交易或区块会算出不同的哈希
+ *
+ * 规则：
+ * - 对象的键按 UTF-16 码元顺序排序，值为 undefined 的键被省略
+ * - 不输出任何空白字符
+ * - 数字必须是有限值，按 JavaScript 的最短往返格式输出（-0 输出为 0）
+ * - 字符串、布尔值和 null 与 JSON.stringify 的输出相同
+ * - 带有 toJSON 方法的对象先调用 toJSON 再规范化
+ */
+
+/**
+ * 将数据序列化为规范化的 JSON 字符串
+ * @param {*} value - 要序列化的数据
+ * @returns {string} - 规范化的 JSON 字符串
+ */
+export function canonicalStringify(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`无法规范化非有限数值: ${value}`);
+    }
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'string' || typeof value === 'boolean') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => (item === undefined ? 'null' : canonicalStringify(item)));
+    return `[${items.join(',')}]`;
+  }
+
+  if (typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return canonicalStringify(value.toJSON());
+    }
+
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  throw new TypeError(`无法规范化的数据类型: ${typeof value}`);
+}
@@ -5,15 +5,16 @@
 import crypto from 'crypto';
 import { sha256 } from '@cosmjs/crypto';
 import secp256k1 from 'secp256k1';
+import { canonicalStringify } from './canonical.js';
 
 /**
- * 计算数据的SHA256哈希值
+ * 计算数据的SHA256哈希值，对象先按规范化格式序列化
  * @param {Object|string} data - 需要计算哈希的数据
  * @returns {string} - 返回十六进制格式的哈希值
  */
 export function calculateHash(data) {
-  const content = typeof data === 'string' ? data : JSON.stringify(data);
-  return sha256(Buffer.from(content)).toString('hex');
+  const content = typeof data === 'string' ? data : canonicalStringify(data);
+  return Buffer.from(sha256(Buffer.from(content))).toString('hex');
 }
 
 /**
@@ -79,12 +80,12 @@ export function generateAddress(publicKey) {
 
 /**
  * 签名数据
- * @param {string} data - 需要签名的数据
+ * @param {string|Object} data - 需要签名的数据，对象先按规范化格式序列化
  * @param {string} privateKey - 私钥（十六进制格式）
  * @returns {string} - 签名结果（十六进制格式）
  */
 export function sign(data, privateKey) {
-  const dataHash = sha256(Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)));
+  const dataHash = sha256(Buffer.from(typeof data === 'string' ? data : canonicalStringify(data)));
   const privateKeyBuffer = Buffer.from(privateKey, 'hex');
   const signObj = secp256k1.ecdsaSign(dataHash, privateKeyBuffer);
   return Buffer.from(signObj.signature).toString('hex');
@@ -92,14 +93,14 @@ export function sign(data, privateKey) {
 
 /**
  * 验证签名
- * @param {string} data - 原始数据
+ * @param {string|Object} data - 原始数据，对象先按规范化格式序列化
  * @param {string} signature - 签名（十六进制格式）
  * @param {string} publicKey - 公钥（十六进制格式）
  * @returns {boolean} - 验证结果
  */
 export function verifySignature(data, signature, publicKey) {
   try {
-    const dataHash = sha256(Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)));
+    const dataHash = sha256(Buffer.from(typeof data === 'string' ? data : canonicalStringify(data)));
     const signatureBuffer = Buffer.from(signature, 'hex');
     const publicKeyBuffer = Buffer.from(publicKey, 'hex');
     return secp256k1.ecdsaVerify(signatureBuffer, dataHash, publicKeyBuffer);
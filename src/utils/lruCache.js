@@ -0,0 +1,84 @@
+/**
+ * LRU 缓存模块
+ * 容量有限的键值缓存，超出容量时淘汰最久未被访问的条目
+ */
+
+/**
+ * LRU 缓存类
+ * 利用 Map 按插入顺序迭代的特性，每次访问把条目移到末尾，淘汰时移除第一个条目
+ */
+export class LRUCache {
+  /**
+   * 创建缓存
+   * @param {number} capacity - 最多缓存的条目数
+   */
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error('缓存容量必须是正整数');
+    }
+    this.capacity = capacity;
+    this.entries = new Map();
+  }
+
+  /**
+   * 缓存中的条目数
+   * @returns {number} - 条目数
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 检查缓存中是否有指定的键，不改变访问顺序
+   * @param {*} key - 键
+   * @returns {boolean} - 是否存在
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * 读取缓存条目，并将其标记为最近访问
+   * @param {*} key - 键
+   * @returns {*} - 缓存的值，不存在时返回 undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * 写入缓存条目，超出容量时淘汰最久未被访问的条目
+   * @param {*} key - 键
+   * @param {*} value - 值
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.capacity) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 删除缓存条目
+   * @param {*} key - 键
+   * @returns {boolean} - 条目是否存在
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * 清空缓存
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
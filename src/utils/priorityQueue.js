@@ -0,0 +1,90 @@
+/**
+ * 优先队列模块
+ * 基于二叉堆的优先队列，插入和取出都是 O(log n)
+ */
+
+/**
+ * 优先队列类
+ * 按比较函数取出优先级最高的元素：compare(a, b) > 0 表示 a 优先于 b
+ */
+export class PriorityQueue {
+  /**
+   * 创建优先队列
+   * @param {Function} compare - 比较函数 (a, b) => number
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.heap = [];
+  }
+
+  /**
+   * 队列中的元素数
+   * @returns {number} - 元素数
+   */
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * 查看优先级最高的元素，不取出
+   * @returns {*} - 元素，队列为空时返回 undefined
+   */
+  peek() {
+    return this.heap[0];
+  }
+
+  /**
+   * 插入元素
+   * @param {*} item - 元素
+   */
+  push(item) {
+    const heap = this.heap;
+    heap.push(item);
+
+    // 上浮：与父节点比较，比父节点优先时交换
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(heap[i], heap[parent]) <= 0) {
+        break;
+      }
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * 取出优先级最高的元素
+   * @returns {*} - 元素，队列为空时返回 undefined
+   */
+  pop() {
+    const heap = this.heap;
+    if (heap.length <= 1) {
+      return heap.pop();
+    }
+
+    const top = heap[0];
+    heap[0] = heap.pop();
+
+    // 下沉：与优先级更高的子节点比较，不如子节点优先时交换
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let best = i;
+      if (left < heap.length && this.compare(heap[left], heap[best]) > 0) {
+        best = left;
+      }
+      if (right < heap.length && this.compare(heap[right], heap[best]) > 0) {
+        best = right;
+      }
+      if (best === i) {
+        break;
+      }
+      [heap[i], heap[best]] = [heap[best], heap[i]];
+      i = best;
+    }
+
+    return top;
+  }
+}
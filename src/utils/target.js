@@ -0,0 +1,110 @@
+/**
+ * 挖矿目标值工具模块
+ * 难度以256位目标值表示，区块哈希按数值比较，不大于目标值即满足难度要求。
+ * 目标值使用与比特币相同的紧凑格式（bits）存储：最高字节为目标值的字节长度，低3字节为尾数
+ */
+
+// 最低难度对应的紧凑格式，目标值约为 2^252，与旧版难度1（一个十六进制前导0）相当
+export const MAX_BITS = 0x200fffff;
+
+// 目标值上限
+export const MAX_TARGET = bitsToTarget(MAX_BITS);
+
+/**
+ * 将紧凑格式解码为目标值
+ * @param {number} bits - 紧凑格式的目标值
+ * @returns {bigint} - 目标值，格式无效时返回0n
+ */
+export function bitsToTarget(bits) {
+  // 符号位被置位的目标值为负数，视为无效
+  if (!Number.isInteger(bits) || bits <= 0 || bits > 0xffffffff || bits & 0x00800000) {
+    return 0n;
+  }
+
+  const exponent = Math.floor(bits / 0x1000000);
+  const mantissa = BigInt(bits & 0x007fffff);
+  if (exponent <= 3) {
+    return mantissa >> BigInt(8 * (3 - exponent));
+  }
+  return mantissa << BigInt(8 * (exponent - 3));
+}
+
+/**
+ * 将目标值编码为紧凑格式（只保留最高3字节的精度）
+ * @param {bigint} target - 目标值
+ * @returns {number} - 紧凑格式的目标值，目标值不为正数时返回0
+ */
+export function targetToBits(target) {
+  if (target <= 0n) {
+    return 0;
+  }
+
+  let size = Math.ceil(target.toString(16).length / 2);
+  let mantissa = size <= 3
+    ? target << BigInt(8 * (3 - size))
+    : target >> BigInt(8 * (size - 3));
+
+  // 尾数最高位是符号位，被占用时整体右移一个字节
+  if (mantissa & 0x00800000n) {
+    mantissa >>= 8n;
+    size++;
+  }
+
+  return size * 0x1000000 + Number(mantissa);
+}
+
+/**
+ * 将旧版难度（哈希十六进制前导0的个数）转换为紧凑格式
+ * 用于兼容按旧格式保存的区块和配置
+ * @param {number} difficulty - 旧版难度
+ * @returns {number} - 紧凑格式的目标值，难度无效时返回0
+ */
+export function difficultyToBits(difficulty) {
+  if (!Number.isInteger(difficulty) || difficulty < 0 || difficulty > 64) {
+    return 0;
+  }
+
+  const target = (1n << BigInt(256 - 4 * difficulty)) - 1n;
+  return targetToBits(target < MAX_TARGET ? target : MAX_TARGET);
+}
+
+/**
+ * 检查区块哈希是否满足目标值
+ * @param {string} hash - 十六进制区块哈希
+ * @param {number} bits - 紧凑格式的目标值
+ * @returns {boolean} - 哈希数值是否不大于目标值
+ */
+export function hashMeetsTarget(hash, bits) {
+  if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) {
+    return false;
+  }
+
+  const target = bitsToTarget(bits);
+  return target > 0n && BigInt('0x' + hash) <= target;
+}
+
+/**
+ * 计算找到满足目标值的哈希平均需要的尝试次数
+ * @param {number} bits - 紧凑格式的目标值
+ * @returns {bigint} - 工作量，目标值无效时返回0n
+ */
+export function bitsToWork(bits) {
+  const target = bitsToTarget(bits);
+  if (target <= 0n) {
+    return 0n;
+  }
+  return (1n << 256n) / (target + 1n);
+}
+
+/**
+ * 计算便于阅读的难度值，即最低难度目标值与当前目标值的比值
+ * @param {number} bits - 紧凑格式的目标值
+ * @returns {number} - 难度值，目标值无效时返回0
+ */
+export function bitsToDifficulty(bits) {
+  const target = bitsToTarget(bits);
+  if (target <= 0n) {
+    return 0;
+  }
+  return Number(MAX_TARGET) / Number(target);
+}
@@ -4,6 +4,7 @@
  */
 import { generateKeyPair, sign, verifySignature, deriveFromPrivateKey } from '../utils/crypto.js';
 import { Transaction } from '../blockchain/transaction.js';
+import { Cancellation } from '../blockchain/cancellation.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -48,15 +49,28 @@ export class Wallet {
   /**
    * 创建并签名一笔交易
    * @param {string} toAddress - 接收方地址
-   * @param {number} amount - 交易金额
+   * @param {bigint|number|string} amount - 交易金额（基本单位整数）
+   * @param {number} nonce - 账户的下一个交易序号
+   * @param {bigint|number|string} fee - 手续费（基本单位整数，可选）
    * @returns {Transaction} - 已签名的交易
    */
-  createTransaction(toAddress, amount) {
-    const transaction = new Transaction(this.address, toAddress, amount);
+  createTransaction(toAddress, amount, nonce = 0, fee = 0) {
+    const transaction = new Transaction(this.address, toAddress, amount, 'regular', nonce, fee);
     transaction.signTransaction(this.privateKey);
     return transaction;
   }
 
+  /**
+   * 创建并签名一条取消请求，用于撤回尚未打包的交易
+   * @param {string} txId - 要取消的交易ID
+   * @returns {Cancellation} - 已签名的取消请求
+   */
+  createCancellation(txId) {
+    const cancellation = new Cancellation(txId, this.address);
+    cancellation.sign(this.privateKey);
+    return cancellation;
+  }
+
   /**
    * 保存钱包到文件
    * @param {string} filePath - 保存路径